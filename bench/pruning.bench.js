@@ -0,0 +1,165 @@
+/**
+ * Player response pruning benchmark (LAYER 1), run with:
+ *   node bench/pruning.bench.js [iterations]
+ * Compares the full recursive walk over every jsonKeys name (the strategy
+ * used before player responses were pruned at known paths) with
+ * removeAdData() of an unstarted blocker, on fresh copies of a real-sized
+ * player response.
+ */
+'use strict';
+
+var createBlocker = require('../youtube-ads-blocker.js').createBlocker;
+
+/**
+ * Build a synthetic player response the size of a real one (~110 KB)
+ * @returns {Object} Player response with ads
+ */
+function buildPlayerResponseFixture() {
+  var i;
+  var url = 'https://rr1---sn-fixture.googlevideo.com/videoplayback?expire=1700000000&ei=' +
+    new Array(40).join('x') + '&ip=0.0.0.0&id=o-' + new Array(60).join('y') +
+    '&itag=%ITAG%&source=youtube&requiressl=yes&mime=video%2Fmp4&sig=' + new Array(200).join('z');
+
+  function linearAd(index) {
+    return {
+      instreamVideoAdRenderer: {
+        playerVars: 'length_seconds=' + (15 + index) + '&video_id=ad' + index,
+        pings: { impressionPings: [{ baseUrl: url }], completePings: [{ baseUrl: url }] },
+        clickthroughEndpoint: { urlEndpoint: { url: url } },
+        skipOffsetMilliseconds: 5000,
+        adLayoutLoggingData: { serializedAdServingDataEntry: new Array(300).join('a') }
+      }
+    };
+  }
+
+  var fixture = {
+    responseContext: { serviceTrackingParams: [], mainAppWebResponseContext: { loggedOut: true } },
+    playabilityStatus: { status: 'OK', playableInEmbed: true, miniplayer: {} },
+    streamingData: { expiresInSeconds: '21540', formats: [], adaptiveFormats: [] },
+    playerAds: [{ playerLegacyDesktopWatchAdsRenderer: { playerAdParams: { enabledEngageTypes: '3,6' } } }],
+    adPlacements: [],
+    adSlots: [],
+    adBreakHeartbeatParams: new Array(100).join('h'),
+    playbackTracking: { videostatsPlaybackUrl: { baseUrl: url } },
+    captions: { playerCaptionsTracklistRenderer: { captionTracks: [], translationLanguages: [] } },
+    videoDetails: {
+      videoId: 'fixture0001',
+      title: 'Fixture video',
+      lengthSeconds: '600',
+      keywords: [],
+      channelId: 'UCfixturefixturefixture0',
+      shortDescription: new Array(2000).join('d')
+    },
+    annotations: [],
+    playerConfig: { audioConfig: { loudnessDb: -1 }, webPlayerConfig: { webPlayerActionsPorting: {} } },
+    storyboards: { playerStoryboardSpecRenderer: { spec: new Array(1000).join('s') } },
+    microformat: { playerMicroformatRenderer: { availableCountries: [], description: { simpleText: 'x' } } },
+    cards: { cardCollectionRenderer: { cards: [] } },
+    attestation: { playerAttestationRenderer: { challenge: new Array(500).join('c') } },
+    frameworkUpdates: { entityBatchUpdate: { mutations: [] } }
+  };
+
+  for (i = 0; i < 40; i++) {
+    fixture.streamingData.adaptiveFormats.push({
+      itag: 130 + i,
+      url: url.replace('%ITAG%', 130 + i),
+      mimeType: 'video/mp4; codecs="avc1.4d401e"',
+      bitrate: 100000 * i,
+      width: 1920,
+      height: 1080,
+      initRange: { start: '0', end: '740' },
+      indexRange: { start: '741', end: '1500' },
+      lastModified: '1700000000000000',
+      contentLength: '12345678',
+      quality: 'hd1080',
+      fps: 30,
+      qualityLabel: '1080p',
+      projectionType: 'RECTANGULAR',
+      averageBitrate: 90000,
+      approxDurationMs: '600000'
+    });
+  }
+
+  for (i = 0; i < 30; i++) {
+    fixture.captions.playerCaptionsTracklistRenderer.captionTracks.push({
+      baseUrl: url, name: { simpleText: 'Track ' + i }, vssId: '.l' + i, languageCode: 'l' + i, isTranslatable: true
+    });
+  }
+
+  for (i = 0; i < 150; i++) {
+    fixture.captions.playerCaptionsTracklistRenderer.translationLanguages.push({
+      languageCode: 'l' + i, languageName: { simpleText: 'Language ' + i }
+    });
+    fixture.microformat.playerMicroformatRenderer.availableCountries.push('C' + i);
+    fixture.frameworkUpdates.entityBatchUpdate.mutations.push({ entityKey: 'k' + i, payload: { value: i } });
+  }
+
+  for (i = 0; i < 6; i++) {
+    fixture.adPlacements.push({
+      adPlacementRenderer: {
+        config: { adPlacementConfig: { kind: 'AD_PLACEMENT_KIND_START' } },
+        renderer: { linearAdSequenceRenderer: { linearAds: [linearAd(i), linearAd(i + 1)] } }
+      }
+    });
+    fixture.adSlots.push({ adSlotRenderer: { fulfillmentContent: { fulfilledLayout: linearAd(i) } } });
+    fixture.cards.cardCollectionRenderer.cards.push({ cardRenderer: { teaser: { simpleText: url } } });
+  }
+
+  return fixture;
+}
+
+/**
+ * Previous strategy: delete the names wherever they appear, no limits
+ * @param {Object} data - Object to clean in place
+ * @param {Array<string>} adProps - Property names to delete
+ */
+function fullWalk(data, adProps) {
+  if (!data || typeof data !== 'object') return;
+
+  for (var i = 0; i < adProps.length; i++) {
+    if (data.hasOwnProperty(adProps[i])) delete data[adProps[i]];
+  }
+
+  var keys = Object.keys(data);
+  for (var j = 0; j < keys.length; j++) {
+    if (data[keys[j]] && typeof data[keys[j]] === 'object') fullWalk(data[keys[j]], adProps);
+  }
+}
+
+/**
+ * Time a pruning strategy on fresh copies of the fixture
+ * @param {string} fixtureText - Serialized fixture
+ * @param {number} iterations - Runs
+ * @param {Function} prune - Strategy, called with each copy
+ * @returns {number} Total milliseconds
+ */
+function time(fixtureText, iterations, prune) {
+  var total = 0;
+  for (var i = 0; i < iterations; i++) {
+    var copy = JSON.parse(fixtureText); // Not timed
+    var start = process.hrtime.bigint();
+    prune(copy);
+    total += Number(process.hrtime.bigint() - start) / 1e6;
+  }
+  return total;
+}
+
+var iterations = parseInt(process.argv[2], 10) || 100;
+var blocker = createBlocker({ window: {}, start: false, options: { logLevel: 'error' } });
+var jsonKeys = blocker.getRules().jsonKeys;
+var fixtureText = JSON.stringify(buildPlayerResponseFixture());
+
+var fullWalkMs = time(fixtureText, iterations, function(data) {
+  fullWalk(data, jsonKeys);
+});
+var targetedMs = time(fixtureText, iterations, function(data) {
+  blocker.removeAdData(data, 'bench');
+});
+
+console.log(JSON.stringify({
+  fixtureBytes: fixtureText.length,
+  iterations: iterations,
+  fullWalkMs: Math.round(fullWalkMs * 100) / 100,
+  targetedMs: Math.round(targetedMs * 100) / 100,
+  speedup: targetedMs > 0 ? Math.round(fullWalkMs / targetedMs * 10) / 10 : null
+}, null, 2));
@@ -0,0 +1,30 @@
+/**
+ * LAYER 2B in-page request blocking tests, run with: node --test test/
+ * shouldBlockRequest() of an unstarted blocker: the decision the fetch and XHR
+ * hooks make, video CDN pass included.
+ */
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var createBlocker = require('../youtube-ads-blocker.js').createBlocker;
+
+var blocker = createBlocker({ window: { URL: URL }, start: false, options: { logLevel: 'error' } });
+
+test('video segments pass without a pattern check', function() {
+  assert.strictEqual(blocker.shouldBlockRequest('https://rr3---sn-abc.googlevideo.com/videoplayback?itag=22&ad=1', 'fetch'), false);
+  assert.strictEqual(blocker.shouldBlockRequest('https://rr3---sn-abc.googlevideo.com/videoplayback?itag=22', 'xhr'), false);
+});
+
+test('activeview pings to the video CDN are blocked', function() {
+  assert.strictEqual(blocker.shouldBlockRequest('https://rr3---sn-abc.googlevideo.com/pcs/activeview?xai=1', 'fetch'), true);
+  assert.strictEqual(blocker.shouldBlockRequest('https://googlevideo.com/pcs/activeview?xai=1', 'xhr'), true);
+});
+
+test('a CDN host mentioned in the query string is no pass', function() {
+  assert.strictEqual(blocker.shouldBlockRequest('https://googleads.g.doubleclick.net/pagead/id?ref=rr3.googlevideo.com/videoplayback', 'fetch'), true);
+});
+
+test('content requests are not blocked', function() {
+  assert.strictEqual(blocker.shouldBlockRequest('https://www.youtube.com/youtubei/v1/next', 'fetch'), false);
+});
@@ -0,0 +1,182 @@
+/**
+ * NATIVE HOST BRIDGE protocol tests, run with: node --test test/
+ * The blocker runs unstarted (createBlocker({start: false})) in a stand-in
+ * window whose Android interface captures what the page sends to the host.
+ */
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var createBlocker = require('../youtube-ads-blocker.js').createBlocker;
+
+var SECRET = 'session-secret';
+
+/**
+ * Stand-in host: captures messages sent by the page, delivers commands
+ * @param {Object} [options] - {secret} to carry in every command
+ * @returns {Object} Mock host with the blocker it talks to
+ */
+function createMockHost(options) {
+  options = options || {};
+
+  var host = {
+    messages: [],
+    nextId: 1,
+
+    /**
+     * Deliver a command, round-tripped through JSON like a real host
+     * @param {string} type - Command type
+     * @param {Object} [payload] - Command payload
+     * @returns {Object} The response message
+     */
+    send: function(type, payload) {
+      var message = {
+        protocol: 'safegaze-yt-ad-blocker',
+        version: 1,
+        id: 'host-' + (host.nextId++),
+        source: 'host',
+        type: type,
+        payload: payload || {},
+        timestamp: Date.now()
+      };
+      if (options.secret) message.secret = options.secret;
+
+      return host.blocker.receive(JSON.stringify(message));
+    },
+
+    /**
+     * @param {string} type - Message type
+     * @returns {Array<Object>} Messages of that type sent by the page
+     */
+    received: function(type) {
+      return host.messages.filter(function(message) {
+        return message.type === type;
+      });
+    }
+  };
+
+  var window = {
+    SafeGazeYTAdBlockerHost: {
+      postMessage: function(json) {
+        host.messages.push(JSON.parse(json));
+      }
+    }
+  };
+
+  host.blocker = createBlocker({
+    window: window,
+    start: false,
+    bridgeSecret: SECRET,
+    options: { logLevel: 'error' }
+  });
+
+  return host;
+}
+
+test('read-only commands need no secret', function() {
+  var host = createMockHost();
+  var response = host.send('ping');
+
+  assert.strictEqual(response.type, 'response');
+  assert.strictEqual(response.payload.ok, true);
+  assert.strictEqual(response.payload.result.version, 1);
+  assert.strictEqual(host.received('response').length, 1);
+  assert.strictEqual(host.send('get-route').payload.ok, true);
+});
+
+test('state-changing commands without the secret are rejected', function() {
+  var host = createMockHost();
+  var response = host.send('set-enabled', { layer: 'cosmetic', enabled: false });
+
+  assert.strictEqual(response.payload.ok, false);
+  assert.match(response.payload.error, /session secret/);
+  assert.strictEqual(host.blocker.getConfig().layers.cosmetic, true);
+});
+
+test('state-changing commands with a wrong secret are rejected', function() {
+  var host = createMockHost({ secret: 'guessed' });
+  var response = host.send('update-rules', { rules: { format: 1, version: '9999.1.0' } });
+
+  assert.strictEqual(response.payload.ok, false);
+  assert.notStrictEqual(host.blocker.getRulesInfo().version, '9999.1.0');
+});
+
+test('state-changing commands with the secret run', function() {
+  var host = createMockHost({ secret: SECRET });
+  var response = host.send('set-enabled', { layer: 'cosmetic', enabled: false });
+
+  assert.strictEqual(response.payload.ok, true);
+  assert.strictEqual(response.payload.result.cosmetic, false);
+  assert.strictEqual(host.blocker.getConfig().layers.cosmetic, false);
+});
+
+test('rule updates with the secret apply in memory', function() {
+  var host = createMockHost({ secret: SECRET });
+  var response = host.send('update-rules', { rules: { format: 1, version: '9999.1.0', badgeLabels: ['Promo'] } });
+
+  assert.strictEqual(response.payload.ok, true);
+  assert.strictEqual(host.blocker.getRulesInfo().version, '9999.1.0');
+  assert.deepStrictEqual(host.blocker.getRules().badgeLabels, ['Promo']);
+});
+
+test('destroy and reload are refused outside chrome.runtime, even with the secret', function() {
+  var host = createMockHost({ secret: SECRET });
+
+  ['destroy', 'reload'].forEach(function(type) {
+    var response = host.send(type, { source: 'void 0' });
+    assert.strictEqual(response.payload.ok, false);
+    assert.match(response.payload.error, /chrome\.runtime/);
+  });
+
+  // Nor can page scripts call them directly
+  assert.strictEqual(host.blocker.destroy, undefined);
+  assert.strictEqual(host.blocker.reload, undefined);
+});
+
+test('responses never echo the secret', function() {
+  var host = createMockHost({ secret: SECRET });
+  host.send('reset-stats');
+
+  host.messages.forEach(function(message) {
+    assert.strictEqual(JSON.stringify(message).indexOf(SECRET), -1);
+  });
+});
+
+test('unknown commands and protocol versions are rejected', function() {
+  var host = createMockHost({ secret: SECRET });
+
+  assert.match(host.send('format-disk').payload.error, /unknown command/);
+  assert.match(host.blocker.receive({
+    protocol: 'safegaze-yt-ad-blocker',
+    version: 2,
+    id: 'host-x',
+    source: 'host',
+    type: 'ping'
+  }).payload.error, /unsupported protocol version/);
+  assert.strictEqual(host.blocker.receive({ protocol: 'other', type: 'ping' }), null);
+});
+
+test('segment answers reach requests of a provider that was since replaced', function() {
+  var host = createMockHost({ secret: SECRET });
+  var first = host.blocker.segmentProviders.native();
+  var asked = first.getSegments('abc');
+  host.blocker.segmentProviders.native().getSegments('xyz');
+
+  var requests = host.received('segments-request').map(function(message) {
+    return message.payload;
+  });
+  assert.strictEqual(requests.length, 2);
+  assert.notStrictEqual(requests[0].requestId, requests[1].requestId);
+
+  var segments = [{ start: 1, end: 2, category: 'sponsor' }];
+  var response = host.send('provide-segments', { requestId: requests[0].requestId, videoId: 'abc', segments: segments });
+  assert.deepStrictEqual(response.payload.result, { delivered: true });
+
+  return asked.then(function(result) {
+    assert.deepStrictEqual(result, segments);
+    // The other request is still waiting for its own answer
+    response = host.send('provide-segments', { videoId: 'xyz', segments: [] });
+    assert.deepStrictEqual(response.payload.result, { delivered: true });
+    assert.deepStrictEqual(host.send('provide-segments', { requestId: requests[0].requestId, segments: [] }).payload.result, { delivered: false });
+  });
+});
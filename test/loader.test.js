@@ -0,0 +1,401 @@
+/**
+ * Self-update loader tests against a local HTTP stand-in for the update server,
+ * run with: node --test test/
+ * The scripts served are small stand-ins for youtube-ads-blocker.js: they set
+ * window.SAFEGAZE_YT_AD_BLOCKER like the real one, or throw while starting.
+ */
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var http = require('node:http');
+var nodeCrypto = require('node:crypto');
+var createLoader = require('../youtube-ads-blocker-loader.js').createLoader;
+
+var HOST_VERSION = '3.5.0';
+
+function hash(text) {
+  return nodeCrypto.createHash('sha256').update(text, 'utf8').digest('hex');
+}
+
+function blockerScript(version) {
+  return 'window.SAFEGAZE_YT_AD_BLOCKER = { version: ' + JSON.stringify(version) + ' };\n';
+}
+
+/**
+ * Serves version.json and the script from a map that each test fills in
+ */
+var files = {};
+var server = http.createServer(function(request, response) {
+  var body = files[request.url];
+  if (body === undefined) {
+    response.writeHead(404);
+    response.end();
+    return;
+  }
+  response.writeHead(200, { 'Content-Type': request.url.slice(-5) === '.json' ? 'application/json' : 'text/javascript' });
+  response.end(body);
+});
+var baseUrl;
+
+test.before(function() {
+  return new Promise(function(resolve) {
+    server.listen(0, '127.0.0.1', function() {
+      baseUrl = 'http://127.0.0.1:' + server.address().port;
+      resolve();
+    });
+  });
+});
+
+test.after(function() {
+  server.close();
+});
+
+/**
+ * Publish a version: the script at /blocker-<version>.js and a manifest pointing at it
+ * @param {string} version - Version to publish
+ * @param {Object} [options] - {source, sha256, minExtensionVersion} overrides
+ */
+function publish(version, options) {
+  options = options || {};
+  var source = options.source || blockerScript(version);
+  var path = '/blocker-' + version + '.js';
+
+  files[path] = source;
+  files['/version.json'] = JSON.stringify({
+    version: version,
+    scriptUrl: baseUrl + path,
+    sha256: options.sha256 || hash(source),
+    minExtensionVersion: options.minExtensionVersion || '3.0.0',
+    updatedAt: '2026-10-18T00:00:00Z',
+    changelog: 'test'
+  });
+}
+
+/**
+ * Host-owned storage stand-in, asynchronous like chrome.storage
+ * @returns {Object} Storage with its backing map exposed as items
+ */
+function createHostStorage() {
+  var items = {};
+  return {
+    items: items,
+    getItem: function(key) {
+      return Promise.resolve(items.hasOwnProperty(key) ? items[key] : null);
+    },
+    setItem: function(key, value) {
+      items[key] = value;
+      return Promise.resolve();
+    },
+    removeItem: function(key) {
+      delete items[key];
+      return Promise.resolve();
+    }
+  };
+}
+
+/**
+ * A fresh page and a loader for it
+ * @param {Object} storage - Host storage shared between page loads
+ * @returns {{window: Object, loader: Object, injected: Array<string>}} The page
+ */
+function openPage(storage) {
+  var page = { window: {}, injected: [] };
+
+  page.loader = createLoader({
+    manifestUrl: baseUrl + '/version.json',
+    hostVersion: HOST_VERSION,
+    window: page.window,
+    fetch: fetch,
+    crypto: nodeCrypto.webcrypto,
+    storage: storage,
+    inject: function(source, window) {
+      page.injected.push(source);
+      new Function('window', source)(window);
+    }
+  });
+
+  return page;
+}
+
+/**
+ * A fresh page enforcing Trusted Types, injected into by the loader's own
+ * <script> path: scripts run with the text the page's policy returned
+ * @returns {{window: Object, loader: Object, policies: Object}} The page
+ */
+function openTrustedTypesPage() {
+  var page = { policies: {} };
+
+  var window = page.window = {
+    trustedTypes: {
+      createPolicy: function(name, rules) {
+        if (page.policies[name]) throw new TypeError('policy ' + name + ' exists');
+        page.policies[name] = rules;
+        return { createScript: rules.createScript };
+      }
+    },
+    document: {
+      createElement: function() {
+        return { textContent: null, remove: function() {} };
+      },
+      head: {
+        appendChild: function(script) {
+          new Function('window', script.textContent)(window);
+        }
+      }
+    },
+    addEventListener: function() {},
+    removeEventListener: function() {}
+  };
+
+  page.loader = createLoader({
+    manifestUrl: baseUrl + '/version.json',
+    hostVersion: HOST_VERSION,
+    window: window,
+    fetch: fetch,
+    crypto: nodeCrypto.webcrypto
+  });
+
+  return page;
+}
+
+// Stand-in that keeps the link the loader hands over, like the blocker does
+function linkedBlockerScript(version) {
+  return 'window.SAFEGAZE_YT_AD_BLOCKER = { version: ' + JSON.stringify(version) +
+    ', link: window.SAFEGAZE_YT_AD_LOADER_LINK };\n';
+}
+
+function quietly(run) {
+  var methods = ['info', 'warn', 'error'];
+  var saved = methods.map(function(name) {
+    return console[name];
+  });
+  methods.forEach(function(name) {
+    console[name] = function() {};
+  });
+
+  return Promise.resolve().then(run).finally(function() {
+    methods.forEach(function(name, i) {
+      console[name] = saved[i];
+    });
+  });
+}
+
+test('a good update is verified, injected and cached', function() {
+  var storage = createHostStorage();
+  var page = openPage(storage);
+  publish('2.0.0');
+
+  return quietly(function() {
+    return page.loader.load();
+  }).then(function(result) {
+    assert.strictEqual(result.status, 'updated');
+    assert.strictEqual(result.source, 'network');
+    assert.strictEqual(page.window.SAFEGAZE_YT_AD_BLOCKER.version, '2.0.0');
+    return page.loader.getCached();
+  }).then(function(cached) {
+    assert.strictEqual(cached.version, '2.0.0');
+
+    // Next page load: same version, served from the cache
+    var next = openPage(storage);
+    return quietly(function() {
+      return next.loader.load();
+    }).then(function(result) {
+      assert.strictEqual(result.status, 'current');
+      assert.strictEqual(result.source, 'cache');
+      assert.strictEqual(next.window.SAFEGAZE_YT_AD_BLOCKER.version, '2.0.0');
+    });
+  });
+});
+
+test('a tampered script is refused with integrity-failed', function() {
+  var page = openPage(createHostStorage());
+  publish('2.1.0', { sha256: hash(blockerScript('2.1.0')), source: 'window.SAFEGAZE_YT_AD_BLOCKER = { evil: true };' });
+
+  return quietly(function() {
+    return page.loader.load();
+  }).then(function(result) {
+    assert.strictEqual(result.status, 'integrity-failed');
+    assert.strictEqual(result.injected, false);
+    assert.deepStrictEqual(page.injected, []);
+    assert.strictEqual(page.window.SAFEGAZE_YT_AD_BLOCKER, undefined);
+  });
+});
+
+test('a version the host is too old for is not downloaded', function() {
+  var storage = createHostStorage();
+  var first = openPage(storage);
+  publish('2.0.0');
+
+  return quietly(function() {
+    return first.loader.load();
+  }).then(function() {
+    publish('3.0.0', { minExtensionVersion: '9.0.0' });
+    var page = openPage(storage);
+
+    return quietly(function() {
+      return page.loader.load();
+    }).then(function(result) {
+      assert.strictEqual(result.status, 'incompatible');
+      assert.strictEqual(result.source, 'cache');
+      assert.strictEqual(page.window.SAFEGAZE_YT_AD_BLOCKER.version, '2.0.0');
+    });
+  });
+});
+
+test('a version that throws while starting is rolled back to the cached one', function() {
+  var storage = createHostStorage();
+  var first = openPage(storage);
+  publish('2.0.0');
+
+  return quietly(function() {
+    return first.loader.load();
+  }).then(function() {
+    publish('2.2.0', { source: 'window.__SAFEGAZE_YT_AD_BLOCKER_INITIALIZED__ = true;\nthrow new Error("init exploded");\n' });
+    var page = openPage(storage);
+
+    return quietly(function() {
+      return page.loader.load();
+    }).then(function(result) {
+      assert.strictEqual(result.status, 'rolled-back');
+      assert.strictEqual(result.error, 'init exploded');
+      assert.strictEqual(result.version, '2.0.0');
+      assert.strictEqual(page.window.SAFEGAZE_YT_AD_BLOCKER.version, '2.0.0');
+      return page.loader.getCached();
+    }).then(function(cached) {
+      assert.strictEqual(cached.version, '2.0.0');
+    });
+  });
+});
+
+test('a poisoned cache entry is never injected', function() {
+  var storage = createHostStorage();
+  publish('2.0.0');
+  var manifest = JSON.parse(files['/version.json']);
+
+  // Claims the published version and hash, carries other code
+  storage.items['safegaze-yt-ad-loader-cache'] = JSON.stringify({
+    version: '2.0.0',
+    sha256: manifest.sha256,
+    minExtensionVersion: null,
+    source: 'window.SAFEGAZE_YT_AD_BLOCKER = { evil: true };',
+    savedAt: '2026-10-18T00:00:00Z'
+  });
+
+  var page = openPage(storage);
+  return quietly(function() {
+    return page.loader.load();
+  }).then(function(result) {
+    // Dropped, and the real version downloaded in its place
+    assert.strictEqual(result.status, 'updated');
+    assert.strictEqual(page.window.SAFEGAZE_YT_AD_BLOCKER.version, '2.0.0');
+    page.injected.forEach(function(source) {
+      assert.strictEqual(source.indexOf('evil'), -1);
+    });
+  });
+});
+
+test('offline with a poisoned cache injects nothing', function() {
+  var storage = createHostStorage();
+  storage.items['safegaze-yt-ad-loader-cache'] = JSON.stringify({
+    version: '2.0.0',
+    sha256: hash(blockerScript('2.0.0')),
+    minExtensionVersion: null,
+    source: 'window.SAFEGAZE_YT_AD_BLOCKER = { evil: true };',
+    savedAt: '2026-10-18T00:00:00Z'
+  });
+  delete files['/version.json'];
+
+  var page = openPage(storage);
+  return quietly(function() {
+    return page.loader.load();
+  }).then(function(result) {
+    assert.strictEqual(result.status, 'failed');
+    assert.strictEqual(result.injected, false);
+    assert.deepStrictEqual(page.injected, []);
+    assert.strictEqual(storage.items['safegaze-yt-ad-loader-cache'], undefined);
+  });
+});
+
+test('without host storage nothing is cached', function() {
+  var page = openPage(null);
+  publish('2.0.0');
+
+  return quietly(function() {
+    return page.loader.load();
+  }).then(function(result) {
+    assert.strictEqual(result.status, 'updated');
+    return page.loader.getCached();
+  }).then(function(cached) {
+    assert.strictEqual(cached, null);
+  });
+});
+
+test('only createLoader is exported', function() {
+  assert.deepStrictEqual(Object.keys(require('../youtube-ads-blocker-loader.js')), ['createLoader']);
+});
+
+test('the Trusted Types policy passes only the script verified against the manifest', function() {
+  var page = openTrustedTypesPage();
+  publish('2.0.0');
+
+  return quietly(function() {
+    return page.loader.load();
+  }).then(function(result) {
+    assert.strictEqual(result.status, 'updated');
+    assert.strictEqual(page.window.SAFEGAZE_YT_AD_BLOCKER.version, '2.0.0');
+
+    var policy = page.policies['safegaze-yt-ad-loader'];
+    assert.throws(function() {
+      policy.createScript('window.evil = true;');
+    }, /verified against version\.json/);
+    assert.throws(function() {
+      policy.createScript(blockerScript('2.0.0'));
+    }, /verified against version\.json/);
+  });
+});
+
+test('a second loader for the same window is refused', function() {
+  var page = openTrustedTypesPage();
+
+  assert.throws(function() {
+    createLoader({ manifestUrl: baseUrl + '/evil.json', hostVersion: HOST_VERSION, window: page.window });
+  }, /already runs in this window/);
+});
+
+test('the blocker link runs only the update it verified', function() {
+  var page = openTrustedTypesPage();
+  publish('2.0.0', { source: linkedBlockerScript('2.0.0') });
+  var link;
+
+  return quietly(function() {
+    return page.loader.load();
+  }).then(function() {
+    link = page.window.SAFEGAZE_YT_AD_BLOCKER.link;
+    assert.ok(link);
+    assert.strictEqual(page.window.SAFEGAZE_YT_AD_LOADER_LINK, undefined);
+
+    // Nothing newer yet
+    return link.fetchUpdate();
+  }).then(function(update) {
+    assert.strictEqual(update, null);
+
+    publish('2.1.0', { source: linkedBlockerScript('2.1.0') });
+    return link.fetchUpdate();
+  }).then(function(update) {
+    // The blocker took itself down before running the update
+    delete page.window.SAFEGAZE_YT_AD_BLOCKER;
+    assert.match(link.run({ version: '6.6.6', entry: { source: 'window.evil = true;' } }).message, /not an update/);
+    assert.strictEqual(page.window.evil, undefined);
+
+    return quietly(function() {
+      return link.run(update);
+    }).then(function(error) {
+      assert.strictEqual(error, null);
+      assert.strictEqual(page.window.SAFEGAZE_YT_AD_BLOCKER.version, '2.1.0');
+
+      // Used up
+      assert.match(link.run(update).message, /not an update/);
+    });
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Hot reload tests, run with: node --test test/
+ * A started blocker in a stand-in window whose document is still loading (so
+ * nothing but the hooks runs), reloaded through chrome.runtime with a stand-in
+ * for the loader link that starts the next blocker the way an injected script does.
+ */
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var createBlocker = require('../youtube-ads-blocker.js').createBlocker;
+
+var STATS_STORAGE_KEY = 'safegaze-yt-ad-stats';
+
+/**
+ * Host-owned storage stand-in, synchronous like the blocker expects
+ * @returns {Object} Storage with its backing map exposed as items
+ */
+function createHostStorage() {
+  var items = {};
+  return {
+    items: items,
+    getItem: function(key) {
+      return items.hasOwnProperty(key) ? items[key] : null;
+    },
+    setItem: function(key, value) {
+      items[key] = String(value);
+    },
+    removeItem: function(key) {
+      delete items[key];
+    }
+  };
+}
+
+/**
+ * A page with the extension's chrome.runtime, still loading
+ * @returns {Object} The window, with the runtime listeners and sent messages
+ */
+function createPage() {
+  function noop() {}
+
+  var window = {
+    location: new URL('https://www.youtube.com/'),
+    URL: URL,
+    Response: Response,
+    Headers: Headers,
+    navigator: { userAgent: 'node' },
+    fetch: function() {
+      return Promise.resolve(new Response('{}'));
+    },
+    XMLHttpRequest: function() {},
+    history: { pushState: noop, replaceState: noop },
+    addEventListener: noop,
+    removeEventListener: noop,
+    document: {
+      readyState: 'loading',
+      documentElement: { lang: 'en' },
+      addEventListener: noop,
+      removeEventListener: noop,
+      querySelector: function() { return null; },
+      querySelectorAll: function() { return []; },
+      getElementById: function() { return null; }
+    },
+    runtimeListeners: [],
+    sent: []
+  };
+  window.XMLHttpRequest.prototype = { open: noop, send: noop };
+  window.chrome = {
+    runtime: {
+      id: 'extension',
+      sendMessage: function(message) {
+        window.sent.push(message);
+      },
+      onMessage: {
+        addListener: function(listener) {
+          window.runtimeListeners.push(listener);
+        },
+        removeListener: function(listener) {
+          window.runtimeListeners.splice(window.runtimeListeners.indexOf(listener), 1);
+        }
+      }
+    }
+  };
+
+  return window;
+}
+
+/**
+ * Deliver a command the way the extension does
+ * @param {Object} window - The page
+ * @param {string} type - Command type
+ */
+function sendRuntimeCommand(window, type) {
+  window.runtimeListeners.slice().forEach(function(listener) {
+    listener({ protocol: 'safegaze-yt-ad-blocker', version: 1, id: 'host-1', source: 'host', type: type, payload: {} });
+  });
+}
+
+/**
+ * @param {Object} window - The page
+ * @returns {Promise<Object>} Payload of the next reloaded event
+ */
+function whenReloaded(window) {
+  return new Promise(function(resolve) {
+    (function poll() {
+      var event = window.sent.filter(function(message) {
+        return message.type === 'reloaded';
+      })[0];
+      if (event) {
+        resolve(event.payload);
+      } else {
+        setTimeout(poll, 5);
+      }
+    })();
+  });
+}
+
+test('a statistics save pending at reload is written before the next blocker reads them', function() {
+  var window = createPage();
+  var storage = createHostStorage();
+  var update = { version: '2.1.0' };
+  var link = {
+    fetchUpdate: function() {
+      return Promise.resolve(update);
+    },
+    run: function(next) {
+      assert.strictEqual(next, update);
+      // What the injected script does: start from the handed-over globals
+      createBlocker({ window: window, loaderLink: link });
+      return null;
+    }
+  };
+
+  var first = createBlocker({ window: window, storage: storage, loaderLink: link, options: { logLevel: 'error' } });
+  first.removeAdData({ playabilityStatus: {}, adPlacements: [{}], playerAds: [{}] }, 'https://www.youtube.com/youtubei/v1/player');
+  assert.strictEqual(first.getStats().total.adKeysStripped, 2);
+  assert.strictEqual(storage.items[STATS_STORAGE_KEY], undefined);
+
+  sendRuntimeCommand(window, 'reload');
+
+  return whenReloaded(window).then(function(result) {
+    assert.deepStrictEqual(result, { reloaded: true });
+
+    var second = window.SAFEGAZE_YT_AD_BLOCKER;
+    assert.notStrictEqual(second, first);
+    // The handover configuration is gone again, none was set before
+    assert.strictEqual('SAFEGAZE_YT_AD_CONFIG' in window, false);
+    assert.strictEqual(second.getStats().total.adKeysStripped, 2);
+    assert.strictEqual(JSON.parse(storage.items[STATS_STORAGE_KEY]).adKeysStripped, 2);
+
+    // Nothing of the first blocker is left to overwrite them later
+    second.removeAdData({ playabilityStatus: {}, adPlacements: [{}] }, 'https://www.youtube.com/youtubei/v1/player');
+    return new Promise(function(resolve) {
+      setTimeout(resolve, 1100);
+    }).then(function() {
+      assert.strictEqual(JSON.parse(storage.items[STATS_STORAGE_KEY]).adKeysStripped, 3);
+      sendRuntimeCommand(window, 'destroy');
+    });
+  });
+});
+
+test('a host configuration set before the reload is put back after it', function() {
+  var window = createPage();
+  var hostConfig = { skipPlaybackRate: 8 };
+  var handedOver = null;
+  var link = {
+    fetchUpdate: function() {
+      return Promise.resolve({ version: '2.1.0' });
+    },
+    run: function() {
+      handedOver = window.SAFEGAZE_YT_AD_CONFIG;
+      createBlocker({ window: window, loaderLink: link });
+      return null;
+    }
+  };
+
+  window.SAFEGAZE_YT_AD_CONFIG = hostConfig;
+  createBlocker({ window: window, storage: createHostStorage(), loaderLink: link, options: { logLevel: 'error' } });
+  sendRuntimeCommand(window, 'reload');
+
+  return whenReloaded(window).then(function(result) {
+    assert.deepStrictEqual(result, { reloaded: true });
+    assert.notStrictEqual(handedOver, hostConfig);
+    assert.strictEqual(window.SAFEGAZE_YT_AD_CONFIG, hostConfig);
+    sendRuntimeCommand(window, 'destroy');
+  });
+});
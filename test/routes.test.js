@@ -0,0 +1,66 @@
+/**
+ * PAGE ROUTES tests, run with: node --test test/
+ * classifyRoute() of an unstarted blocker against a table of URLs.
+ */
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var createBlocker = require('../youtube-ads-blocker.js').createBlocker;
+
+var blocker = createBlocker({ window: {}, start: false, options: { logLevel: 'error' } });
+
+// [url, type, videoId, playlistId]
+var ROUTES = [
+  ['https://www.youtube.com/', 'feed', null, null],
+  ['https://www.youtube.com/results?search_query=cats', 'feed', null, null],
+  ['https://www.youtube.com/feed/subscriptions', 'feed', null, null],
+  ['https://www.youtube.com/hashtag/music', 'feed', null, null],
+  ['https://www.youtube.com/watch?v=dQw4w9WgXcQ', 'watch', 'dQw4w9WgXcQ', null],
+  ['https://www.youtube.com/watch?v=dQw4w9WgXcQ&list=PL123&index=2', 'watch', 'dQw4w9WgXcQ', 'PL123'],
+  ['https://www.youtube.com/watch?list=PL123', 'watch', null, 'PL123'],
+  ['https://www.youtube.com/watch', 'other', null, null],
+  ['https://www.youtube.com/live/jfKfPfyJRdk', 'live', 'jfKfPfyJRdk', null],
+  ['https://www.youtube.com/live/jfKfPfyJRdk?si=share', 'live', 'jfKfPfyJRdk', null],
+  ['https://www.youtube.com/@lofigirl/live', 'live', null, null],
+  ['https://www.youtube.com/channel/UCSJ4gkVC6NrvII8umztf0Ow/live', 'live', null, null],
+  ['https://www.youtube.com/@lofigirl', 'channel', null, null],
+  ['https://www.youtube.com/@lofigirl/videos', 'channel', null, null],
+  ['https://www.youtube.com/channel/UCSJ4gkVC6NrvII8umztf0Ow', 'channel', null, null],
+  ['https://www.youtube.com/c/LofiGirl', 'channel', null, null],
+  ['https://www.youtube.com/user/ChilledCow', 'channel', null, null],
+  ['https://www.youtube.com/shorts/abcdefghijk', 'shorts', 'abcdefghijk', null],
+  ['https://www.youtube.com/playlist?list=PL123', 'playlist', null, 'PL123'],
+  ['https://www.youtube.com/embed/dQw4w9WgXcQ', 'embed', 'dQw4w9WgXcQ', null],
+  ['https://www.youtube.com/embed/videoseries?list=PL123', 'embed', null, 'PL123'],
+  ['https://www.youtube.com/account', 'other', null, null],
+  ['https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ', 'embed', 'dQw4w9WgXcQ', null],
+  ['https://www.youtube-nocookie.com/embed/videoseries?list=PL123', 'embed', null, 'PL123'],
+  ['https://m.youtube.com/', 'feed', null, null],
+  ['https://m.youtube.com/watch?v=dQw4w9WgXcQ', 'watch', 'dQw4w9WgXcQ', null],
+  ['https://m.youtube.com/shorts/abcdefghijk', 'shorts', 'abcdefghijk', null],
+  ['https://m.youtube.com/@lofigirl', 'channel', null, null],
+  ['https://music.youtube.com/', 'music', null, null],
+  ['https://music.youtube.com/watch?v=dQw4w9WgXcQ&list=RDAMVM', 'music', 'dQw4w9WgXcQ', 'RDAMVM'],
+  ['https://music.youtube.com/playlist?list=PL123', 'music', null, 'PL123'],
+
+  // Malformed escapes are kept as they are
+  ['https://www.youtube.com/watch?v=%', 'watch', '%', null],
+  ['https://www.youtube.com/watch?v=abc&list=%E0%A4%A', 'watch', 'abc', '%E0%A4%A'],
+  ['https://www.youtube.com/results?search_query=100%25&v=%zz', 'feed', '%zz', null],
+  ['https://www.youtube.com/watch?v=a%2Db', 'watch', 'a-b', null]
+];
+
+ROUTES.forEach(function(row) {
+  test(row[0] + ' is ' + row[1], function() {
+    assert.deepStrictEqual(blocker.classifyRoute(new URL(row[0])), {
+      type: row[1],
+      videoId: row[2],
+      playlistId: row[3]
+    });
+  });
+});
+
+test('outside a browser the route is of an empty page', function() {
+  assert.deepStrictEqual(blocker.getRoute(), { type: 'feed', videoId: null, playlistId: null });
+});
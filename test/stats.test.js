@@ -0,0 +1,60 @@
+/**
+ * BLOCKING STATISTICS tests, run with: node --test test/
+ * Counters of unstarted blockers fed by the Layer 1 helpers, in stand-in
+ * windows that only have a location.
+ */
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var createBlocker = require('../youtube-ads-blocker.js').createBlocker;
+
+var PLAYER_ENDPOINT = 'https://www.youtube.com/youtubei/v1/player';
+
+/**
+ * @param {string} url - Page URL
+ * @returns {Object} Unstarted blocker for a page at that URL
+ */
+function openPage(url) {
+  return createBlocker({ window: { location: new URL(url) }, start: false, options: { logLevel: 'error' } });
+}
+
+/**
+ * @param {string} videoId - Video of the response
+ * @returns {Object} Player response with one 30 second ad
+ */
+function playerResponse(videoId) {
+  return {
+    playabilityStatus: { status: 'OK' },
+    videoDetails: { videoId: videoId },
+    adPlacements: [{ adPlacementRenderer: { renderer: { instreamVideoAdRenderer: { playerVars: 'length_seconds=30' } } } }]
+  };
+}
+
+test('feed items and ad keys are broken down per endpoint separately', function() {
+  var blocker = openPage('https://www.youtube.com/');
+  blocker.removeFeedAds({ contents: [{ adSlotRenderer: {} }, { videoRenderer: {} }] }, '/youtubei/v1/browse');
+  blocker.removeAdData(playerResponse('abcdefghijk'), '/youtubei/v1/player');
+
+  var session = blocker.getStats().session;
+  assert.deepStrictEqual(session.feedItemsByEndpoint, { '/youtubei/v1/browse': 1 });
+  assert.deepStrictEqual(session.adKeysByEndpoint, { '/youtubei/v1/player': 1 });
+});
+
+test('ad time counts for the video being played', function() {
+  var blocker = openPage('https://www.youtube.com/watch?v=abcdefghijk');
+  blocker.removeAdData(playerResponse('abcdefghijk'), PLAYER_ENDPOINT);
+
+  assert.strictEqual(blocker.getStats().session.secondsSaved, 30);
+});
+
+test('ad time of hover previews and prefetched videos does not count', function() {
+  var feed = openPage('https://www.youtube.com/');
+  feed.removeAdData(playerResponse('abcdefghijk'), PLAYER_ENDPOINT);
+  assert.strictEqual(feed.getStats().session.secondsSaved, 0);
+
+  var watch = openPage('https://www.youtube.com/watch?v=abcdefghijk');
+  watch.removeAdData(playerResponse('zyxwvutsrqp'), PLAYER_ENDPOINT);
+  assert.strictEqual(watch.getStats().session.secondsSaved, 0);
+  assert.strictEqual(watch.getStats().session.adKeysStripped, 1);
+});
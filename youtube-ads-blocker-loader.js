@@ -0,0 +1,610 @@
+/**
+ * SafeGaze YouTube Ads Blocker - Self-Update Loader
+ *
+ * Keeps youtube-ads-blocker.js current without shipping a new host build.
+ * Driven by version.json:
+ *   {version, scriptUrl, sha256, minExtensionVersion, updatedAt, changelog}
+ *
+ * On load() the loader:
+ * 1. Reads the manifest
+ * 2. Checks minExtensionVersion against the host's version
+ * 3. Downloads scriptUrl and verifies its SHA-256 before injecting it
+ * 4. Injects the script and caches it as the last good version once it started
+ * 5. Rolls back to the cached version if the new one throws during init
+ *
+ * Whenever the manifest or the download cannot be used (offline, incompatible
+ * host, tampered file), the cached version is injected instead. If nothing was
+ * injected (result.injected === false) the host injects its bundled copy.
+ *
+ * The cache lives in storage the host owns (options.storage), never in the
+ * page's localStorage: every script on youtube.com can write that. Without a
+ * storage there is no cache. A cached script is hashed again before every
+ * injection and dropped if it does not match.
+ *
+ * Only createLoader() is exposed to the page, and the first loader of a window
+ * owns its Trusted Types policy: that policy passes only the script the loader
+ * is running after checking it against the manifest's sha256. Blockers started
+ * by the loader get a link back to it (window.SAFEGAZE_YT_AD_LOADER_LINK, read
+ * and removed at startup) for their reload() command.
+ *
+ * Usage (MAIN world, before YouTube's scripts):
+ *   SAFEGAZE_YT_AD_LOADER.createLoader({
+ *     manifestUrl: 'https://.../version.json',
+ *     hostVersion: '3.5.0',
+ *     storage: hostStorage
+ *   }).load().then(function(result) { ... });
+ *
+ * fetch, crypto, storage and inject can be passed in, to run against a local
+ * HTTP stand-in or a host-specific injection path (e.g. chrome.scripting).
+ */
+(function(root) {
+  'use strict';
+
+  var CACHE_KEY = 'safegaze-yt-ad-loader-cache';
+  var TRUSTED_TYPES_POLICY = 'safegaze-yt-ad-loader';
+
+  // The loader of each window: Trusted Types policies can only be created once
+  // per name and window, and only the one loader may approve scripts for it
+  var windowLoaders = typeof WeakMap === 'function' ? new WeakMap() : null;
+
+  /**
+   * Compare two dotted version strings numerically
+   * @param {string} a - First version (e.g. '3.4.1')
+   * @param {string} b - Second version
+   * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+   */
+  function compareVersions(a, b) {
+    var partsA = String(a).split('.');
+    var partsB = String(b).split('.');
+    var length = Math.max(partsA.length, partsB.length);
+
+    for (var i = 0; i < length; i++) {
+      var diff = (parseInt(partsA[i], 10) || 0) - (parseInt(partsB[i], 10) || 0);
+      if (diff !== 0) return diff;
+    }
+
+    return 0;
+  }
+
+  /**
+   * Check that a manifest has everything an update needs
+   * @param {Object} manifest - Parsed version.json
+   * @returns {string|null} Error message, or null if the manifest is usable
+   */
+  function validateManifest(manifest) {
+    if (!manifest || typeof manifest !== 'object') {
+      return 'manifest must be an object';
+    }
+
+    if (typeof manifest.version !== 'string' || !manifest.version) {
+      return 'manifest is missing a version';
+    }
+
+    if (typeof manifest.scriptUrl !== 'string' || !manifest.scriptUrl) {
+      return 'manifest is missing a scriptUrl';
+    }
+
+    if (typeof manifest.sha256 !== 'string' || !/^[0-9a-f]{64}$/i.test(manifest.sha256)) {
+      return 'manifest sha256 must be 64 hex characters';
+    }
+
+    if (manifest.minExtensionVersion !== undefined && typeof manifest.minExtensionVersion !== 'string') {
+      return 'manifest minExtensionVersion must be a string';
+    }
+
+    return null;
+  }
+
+  /**
+   * @param {ArrayBuffer} buffer - Digest bytes
+   * @returns {string} Lowercase hex
+   */
+  function toHex(buffer) {
+    var bytes = new Uint8Array(buffer);
+    var hex = '';
+
+    for (var i = 0; i < bytes.length; i++) {
+      hex += (bytes[i] < 16 ? '0' : '') + bytes[i].toString(16);
+    }
+
+    return hex;
+  }
+
+  /**
+   * Create a loader for one window
+   * @param {Object} options
+   * @param {string} options.manifestUrl - URL of version.json
+   * @param {string} options.hostVersion - Version of the extension or app, checked
+   *   against minExtensionVersion
+   * @param {Window} [options.window] - Window to inject into, defaults to the page's own
+   * @param {Function} [options.fetch] - fetch() implementation, defaults to window.fetch
+   * @param {Object} [options.crypto] - Object with subtle.digest(), defaults to window.crypto
+   * @param {Object} [options.storage] - Host-owned cache for the last good version:
+   *   getItem, setItem and removeItem, returning values or Promises (e.g. a wrapper
+   *   around chrome.storage.local). No cache without one.
+   * @param {Function} [options.inject] - Run a script source in the window, must throw
+   *   if the script throws. Defaults to an inline <script> element.
+   * @returns {Object} Loader, see load()
+   */
+  function createLoader(options) {
+    options = options || {};
+
+    var window = options.window || root;
+    var fetchImpl = options.fetch || (window.fetch && window.fetch.bind(window));
+    var cryptoImpl = options.crypto || window.crypto;
+    var storage = options.storage || null;
+
+    // Trusted Types policy of this window and the one script it may pass
+    var trust = { policy: null, approved: null };
+    var inject = options.inject || function(source, window) {
+      injectScript(source, window, trust);
+    };
+
+    // Version injected last, and the update reload() may run (see link)
+    var injectedVersion = null;
+    var verifiedUpdate = null;
+
+    if (!options.manifestUrl) {
+      throw new Error('[SafeGaze] createLoader() needs a manifestUrl');
+    }
+    if (!options.hostVersion) {
+      throw new Error('[SafeGaze] createLoader() needs the hostVersion');
+    }
+    if (windowLoaders) {
+      if (windowLoaders.has(window)) {
+        throw new Error('[SafeGaze] A loader already runs in this window');
+      }
+      windowLoaders.set(window, trust);
+    }
+
+    function log(level, message, data) {
+      var prefix = '[SafeGaze][loader] ' + message;
+      if (data === undefined) {
+        console[level](prefix);
+      } else {
+        console[level](prefix, data);
+      }
+    }
+
+    /**
+     * Hash a script the same way version.json's sha256 is produced (file bytes)
+     * @param {ArrayBuffer|Uint8Array} bytes - Script file
+     * @returns {Promise<string>} Lowercase hex SHA-256
+     */
+    function sha256(bytes) {
+      if (!cryptoImpl || !cryptoImpl.subtle) {
+        return Promise.reject(new Error('SHA-256 is not available (needs crypto.subtle)'));
+      }
+      return cryptoImpl.subtle.digest('SHA-256', bytes).then(toHex);
+    }
+
+    /**
+     * @returns {Promise<Object|null>} Last good version {version, sha256,
+     *   minExtensionVersion, source, savedAt}, null if none is cached
+     */
+    function readCache() {
+      if (!storage) return Promise.resolve(null);
+
+      return Promise.resolve().then(function() {
+        return storage.getItem(CACHE_KEY);
+      }).then(function(stored) {
+        return stored ? JSON.parse(stored) : null;
+      }).catch(function(e) {
+        log('warn', 'Could not read the cached script', e);
+        return null;
+      });
+    }
+
+    /**
+     * @param {Object} entry - Version to cache
+     * @returns {Promise} Settles once written, never rejects
+     */
+    function writeCache(entry) {
+      if (!storage) return Promise.resolve();
+
+      return Promise.resolve().then(function() {
+        return storage.setItem(CACHE_KEY, JSON.stringify(entry));
+      }).catch(function(e) {
+        // Quota exceeded: keep running, the next load downloads again
+        log('warn', 'Could not cache version ' + entry.version, e);
+      });
+    }
+
+    /**
+     * @returns {Promise} Settles once removed, never rejects
+     */
+    function clearCache() {
+      if (!storage) return Promise.resolve();
+
+      return Promise.resolve().then(function() {
+        return storage.removeItem(CACHE_KEY);
+      }).catch(function() {
+        // Storage unavailable, nothing cached
+      });
+    }
+
+    /**
+     * Check that the host can run a version
+     * @param {string} [minExtensionVersion] - Lowest host version it supports
+     * @returns {boolean} True if the host is new enough
+     */
+    function isCompatible(minExtensionVersion) {
+      return !minExtensionVersion || compareVersions(options.hostVersion, minExtensionVersion) >= 0;
+    }
+
+    /**
+     * Run a script and check that the blocker started
+     * Only called with source whose sha256 was just checked: it is the one
+     * script the Trusted Types policy passes while it runs.
+     * @param {string} source - Script source
+     * @returns {Error|null} Why it failed, null if the blocker is running
+     */
+    function run(source) {
+      trust.approved = source;
+      window.SAFEGAZE_YT_AD_LOADER_LINK = link;
+      try {
+        inject(source, window);
+      } catch (e) {
+        // Errors from another realm (the target window) fail instanceof Error
+        return e && e.message ? e : new Error(String(e));
+      } finally {
+        trust.approved = null;
+        delete window.SAFEGAZE_YT_AD_LOADER_LINK;
+      }
+
+      return window.SAFEGAZE_YT_AD_BLOCKER ? null : new Error('blocker did not start');
+    }
+
+    /**
+     * @returns {Promise<Object>} Parsed version.json, not checked yet
+     */
+    function fetchManifest() {
+      return fetchImpl(options.manifestUrl, { cache: 'no-store' }).then(function(response) {
+        if (!response.ok) throw new Error('manifest request failed with ' + response.status);
+        return response.json();
+      });
+    }
+
+    /**
+     * Download a manifest's script and check its sha256
+     * @param {Object} manifest - Checked manifest
+     * @returns {Promise<{hash: string, source: string|null}>} Hash of the download,
+     *   and its source if that matches the manifest
+     */
+    function fetchScript(manifest) {
+      return fetchImpl(manifest.scriptUrl, { cache: 'no-store' }).then(function(response) {
+        if (!response.ok) throw new Error('script request failed with ' + response.status);
+        return response.arrayBuffer();
+      }).then(function(bytes) {
+        return sha256(bytes).then(function(hash) {
+          if (hash !== manifest.sha256.toLowerCase()) {
+            return { hash: hash, source: null };
+          }
+
+          // Kept byte for byte (BOM included) so the cached copy hashes the same
+          var source = new TextDecoder('utf-8', { fatal: true, ignoreBOM: true }).decode(bytes);
+          return { hash: hash, source: source };
+        });
+      });
+    }
+
+    /**
+     * Entry to cache for a version that started
+     * @param {Object} manifest - Its manifest
+     * @param {string} source - Its script
+     * @returns {Object} Cache entry
+     */
+    function cacheEntry(manifest, source) {
+      return {
+        version: manifest.version,
+        sha256: manifest.sha256.toLowerCase(),
+        minExtensionVersion: manifest.minExtensionVersion || null,
+        source: source,
+        savedAt: new Date().toISOString()
+      };
+    }
+
+    /**
+     * Forget a blocker that failed during init, so the next script can start
+     */
+    function resetWindow() {
+      try {
+        delete window.__SAFEGAZE_YT_AD_BLOCKER_INITIALIZED__;
+        delete window.SAFEGAZE_YT_AD_BLOCKER;
+      } catch (e) {
+        window.__SAFEGAZE_YT_AD_BLOCKER_INITIALIZED__ = false;
+        window.SAFEGAZE_YT_AD_BLOCKER = undefined;
+      }
+    }
+
+    /**
+     * Inject the cached version after the update could not be used
+     * The cached source is hashed again first: only what matches the sha256 it
+     * was verified with when downloaded is run.
+     * @param {Object} result - Result so far, completed in place
+     * @returns {Promise<Object>} The result
+     */
+    function fallBack(result) {
+      var cached;
+
+      return readCache().then(function(entry) {
+        cached = entry;
+
+        if (!cached || typeof cached.source !== 'string' || typeof cached.sha256 !== 'string') {
+          log('warn', 'No cached version to fall back to');
+          return null;
+        }
+
+        if (!isCompatible(cached.minExtensionVersion)) {
+          log('warn', 'Cached version ' + cached.version + ' needs host ' + cached.minExtensionVersion);
+          return null;
+        }
+
+        return sha256(new TextEncoder().encode(cached.source));
+      }).then(function(hash) {
+        if (hash === null) return result;
+
+        if (hash !== cached.sha256.toLowerCase()) {
+          log('error', 'Cached version ' + cached.version + ' does not match its sha256, dropping it');
+          return clearCache().then(function() {
+            return result;
+          });
+        }
+
+        resetWindow();
+        var error = run(cached.source);
+        if (error) {
+          // The cache itself is broken, do not try it again
+          log('error', 'Cached version ' + cached.version + ' failed to start', error);
+          resetWindow();
+          return clearCache().then(function() {
+            return result;
+          });
+        }
+
+        result.injected = true;
+        result.version = cached.version;
+        result.source = 'cache';
+        injectedVersion = cached.version;
+        return result;
+      }).catch(function(error) {
+        log('error', 'Could not check the cached version', error);
+        return result;
+      });
+    }
+
+    /**
+     * Update if possible, then inject the best available version
+     * @returns {Promise<Object>} {status, injected, version, source, error?}
+     *   status: 'updated', 'current', 'already-running', 'incompatible',
+     *   'integrity-failed', 'rolled-back' or 'failed' (manifest or download unusable)
+     */
+    function load() {
+      var result = { status: null, injected: false, version: null, source: null };
+      var manifest;
+
+      if (window.SAFEGAZE_YT_AD_BLOCKER) {
+        result.status = 'already-running';
+        return Promise.resolve(result);
+      }
+
+      function fail(status, message) {
+        result.status = status;
+        result.error = message;
+        log('warn', message);
+        return fallBack(result);
+      }
+
+      return fetchManifest().then(function(data) {
+        manifest = data;
+
+        var invalid = validateManifest(manifest);
+        if (invalid) {
+          return fail('failed', invalid);
+        }
+
+        if (!isCompatible(manifest.minExtensionVersion)) {
+          return fail('incompatible', 'Version ' + manifest.version + ' needs host ' +
+            manifest.minExtensionVersion + ', running ' + options.hostVersion);
+        }
+
+        return readCache().then(function(cached) {
+          // Already have it, no download needed (fallBack() checks its hash
+          // and drops a copy that no longer matches, which is downloaded again)
+          if (cached && cached.version === manifest.version &&
+              String(cached.sha256).toLowerCase() === manifest.sha256.toLowerCase()) {
+            result.status = 'current';
+            return fallBack(result).then(function() {
+              if (result.injected) return result;
+              result.status = null;
+              return download();
+            });
+          }
+
+          return download();
+        });
+      }).catch(function(error) {
+        return fail('failed', error && error.message ? error.message : String(error));
+      });
+
+      /**
+       * Download, verify and run the manifest's version
+       * @returns {Promise<Object>} The result
+       */
+      function download() {
+        return fetchScript(manifest).then(function(script) {
+          if (script.source === null) {
+            return fail('integrity-failed', 'Version ' + manifest.version +
+              ' does not match its sha256 (got ' + script.hash + ')');
+          }
+
+          var error = run(script.source);
+          if (error) {
+            log('error', 'Version ' + manifest.version + ' failed to start, rolling back', error);
+            resetWindow();
+            return fail('rolled-back', error.message);
+          }
+
+          result.status = 'updated';
+          result.injected = true;
+          result.version = manifest.version;
+          result.source = 'network';
+          injectedVersion = manifest.version;
+          log('info', 'Updated to version ' + manifest.version);
+
+          return writeCache(cacheEntry(manifest, script.source)).then(function() {
+            return result;
+          });
+        });
+      }
+    }
+
+    // =============================================================================
+    // BLOCKER LINK
+    // What a blocker started by this loader may ask of it, for its reload()
+    // command: fetch the manifest's version if it is not the one running, then
+    // run exactly that script once the blocker took itself down.
+    // =============================================================================
+    var link = {
+      /**
+       * Download and verify the manifest's version
+       * @returns {Promise<Object|null>} Update to pass to run(), null if the
+       *   version injected last is the manifest's; rejects if it cannot be used
+       */
+      fetchUpdate: function() {
+        return fetchManifest().then(function(manifest) {
+          var invalid = validateManifest(manifest);
+          if (invalid) throw new Error(invalid);
+
+          if (!isCompatible(manifest.minExtensionVersion)) {
+            throw new Error('Version ' + manifest.version + ' needs host ' + manifest.minExtensionVersion);
+          }
+          if (manifest.version === injectedVersion) return null;
+
+          return fetchScript(manifest).then(function(script) {
+            if (script.source === null) {
+              throw new Error('Version ' + manifest.version + ' does not match its sha256 (got ' + script.hash + ')');
+            }
+
+            verifiedUpdate = { version: manifest.version, entry: cacheEntry(manifest, script.source) };
+            return verifiedUpdate;
+          });
+        });
+      },
+
+      /**
+       * Run an update fetched with fetchUpdate(), cached once it started
+       * @param {Object} update - The update
+       * @returns {Error|null} Why it failed, null if the new blocker is running
+       */
+      run: function(update) {
+        if (!update || update !== verifiedUpdate) {
+          return new Error('not an update fetched by the loader');
+        }
+        verifiedUpdate = null;
+
+        var error = run(update.entry.source);
+        if (error) return error;
+
+        injectedVersion = update.version;
+        log('info', 'Reloaded version ' + update.version);
+        writeCache(update.entry);
+        return null;
+      }
+    };
+
+    return {
+      load: load,
+
+      /**
+       * @returns {Promise<{version: string, savedAt: string}|null>} The cached version,
+       *   without its source
+       */
+      getCached: function() {
+        return readCache().then(function(cached) {
+          return cached ? { version: cached.version, savedAt: cached.savedAt } : null;
+        });
+      },
+
+      clearCache: clearCache
+    };
+  }
+
+  /**
+   * Wrap script text for pages that enforce Trusted Types (YouTube does), with
+   * the one named policy the window's loader creates
+   * @param {string} source - Script source
+   * @param {Window} window - Target window
+   * @param {Object} trust - The loader's {policy, approved}: the policy passes
+   *   nothing but the approved source
+   * @returns {TrustedScript|string} Value to assign to script.textContent
+   */
+  function trustedScript(source, window, trust) {
+    var trustedTypes = window.trustedTypes;
+    if (!trustedTypes || typeof trustedTypes.createPolicy !== 'function') return source;
+
+    if (!trust.policy) {
+      try {
+        trust.policy = trustedTypes.createPolicy(TRUSTED_TYPES_POLICY, {
+          createScript: function(value) {
+            if (trust.approved === null || value !== trust.approved) {
+              throw new TypeError('[SafeGaze] Only scripts verified against version.json can run');
+            }
+            return value;
+          }
+        });
+      } catch (e) {
+        // Policy name not allowed by the page's CSP, try the plain string
+        return source;
+      }
+    }
+
+    return trust.policy.createScript(source);
+  }
+
+  /**
+   * Default injection: an inline <script> element in the target window
+   * Errors thrown while it runs are reported to the window, not to us; they are
+   * caught with an error listener for the duration of the synchronous run.
+   * @param {string} source - Script source
+   * @param {Window} window - Target window
+   * @param {Object} trust - The loader's Trusted Types state, see trustedScript()
+   * @throws {Error} Whatever the script threw while running
+   */
+  function injectScript(source, window, trust) {
+    var document = window.document;
+    var failure = null;
+    var text = trustedScript(source, window, trust);
+
+    function onError(event) {
+      failure = event.error || new Error(event.message);
+    }
+
+    window.addEventListener('error', onError);
+    try {
+      var script = document.createElement('script');
+      script.textContent = text;
+      (document.head || document.documentElement).appendChild(script);
+      script.remove();
+    } finally {
+      window.removeEventListener('error', onError);
+    }
+
+    if (failure) throw failure;
+  }
+
+  // =============================================================================
+  // ENTRY POINT
+  // In a page: expose window.SAFEGAZE_YT_AD_LOADER for the host to call, with
+  // nothing that injects scripts. Loaded as a CommonJS module (test suites):
+  // export the same.
+  // =============================================================================
+  if (root && root.document) {
+    root.SAFEGAZE_YT_AD_LOADER = { createLoader: createLoader };
+  }
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = { createLoader: createLoader };
+  }
+
+})(typeof window !== 'undefined' ? window : this);
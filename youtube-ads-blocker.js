@@ -14,566 +14,492 @@
  * - Browser Extensions (Chrome, Firefox, Edge)
  * - Android WebView
  * - iOS WKWebView
+ * - Same-origin iframes, other documents and test suites, via createBlocker()
  *
  * This script combines four layers of ad blocking:
- * - Layer 1: Player data interception (ytInitialPlayerResponse, fetch, XHR hooks)
- * - Layer 2: Blocked URL patterns (for mobile network-level blocking)
- * - Layer 3: DOM-based fallback (ad detection, skip buttons, overlay removal)
- * - Layer 4: Feed ad monitoring (sponsored content in home/search feeds)
+ * - Layer 1: Player and feed data interception (ytInitialPlayerResponse,
+ *   ytInitialData, embedded player config, fetch and XHR hooks for
+ *   player/browse/search/guide)
+ * - Layer 2: Blocked URL patterns (for mobile network-level blocking, compiled
+ *   per platform) and in-page blocking of matching requests
+ * - Layer 3: DOM-based fallback (event-driven ad detection, skip buttons,
+ *   overlay removal)
+ * - Layer 4: Feed ad monitoring (sponsored content in home/search feeds), and
+ *   Shorts ads (pruned from reel sequences, skipped in the Shorts player)
+ * - Layer 5: Sponsor segment skipping (creator-embedded sponsor reads, intros)
+ *
+ * YouTube Music (music.youtube.com) runs in its own mode: the player in
+ * ytmusic-player is watched on every page, and Premium promos are removed
+ * instead of feed ads. So does mobile web (m.youtube.com): ytm-* ad renderers,
+ * the mobile player, and navigation through its own router. Embedded players
+ * (/embed/ on youtube.com and youtube-nocookie.com) get the hooks and DOM
+ * skipping when the host injects the script into their frames. Each navigation
+ * is classified (watch, live, Shorts, embed, channel, playlist, feed) and runs
+ * only the handlers of its page type, see PAGE ROUTES.
+ *
+ * All selectors, tag names, JSON keys and URL patterns come from a versioned
+ * rule list (DEFAULT_RULES) that hosts can replace without shipping a new script.
+ * Hosts talk to the script through the message protocol in NATIVE HOST BRIDGE,
+ * page features follow its activity through the events in ACTIVITY EVENTS.
+ * youtube-ads-blocker-loader.js keeps the script current from version.json.
+ * Through chrome.runtime only, the host can remove every hook (destroy) or swap
+ * in the newer version the loader verified (reload).
+ * Diagnostics for bug reports: window.SAFEGAZE_YT_AD_BLOCKER.exportLogs().
  */
-(function() {
+(function(root) {
   'use strict';
 
-  // Prevent multiple initializations
-  if (window.__SAFEGAZE_YT_AD_BLOCKER_INITIALIZED__) {
-    return;
-  }
-  window.__SAFEGAZE_YT_AD_BLOCKER_INITIALIZED__ = true;
-
-  // =============================================================================
-  // LAYER 2: BLOCKED URL PATTERNS
-  // These patterns can be used by mobile apps for network-level blocking
-  // Access via: window.SAFEGAZE_BLOCKED_AD_PATTERNS
-  // =============================================================================
-  var BLOCKED_AD_PATTERNS = [
-    // Ad serving domains
-    '*://*.googlesyndication.com/*',
-    '*://*.doubleclick.net/*',
-    '*://googleads.g.doubleclick.net/*',
-    '*://static.doubleclick.net/*',
-
-    // YouTube ad endpoints (classic)
-    '*://youtube.com/api/stats/ads*',
-    '*://youtube.com/ptracking*',
-    '*://youtube.com/pagead/*',
-    '*://youtube.com/get_midroll_*',
-    '*://youtube.com/ad_*',
-    '*://youtube.com/adunit/*',
-    '*://*.youtube.com/api/stats/ads*',
-    '*://*.youtube.com/ptracking*',
-    '*://*.youtube.com/pagead/*',
-    '*://*.youtube.com/get_midroll_*',
-    '*://*.youtube.com/ad_*',
-
-    // YouTube API v1 ad endpoints
-    '*://youtube.com/youtubei/v1/player/ad_*',
-    '*://*.youtube.com/youtubei/v1/player/ad_*',
-    '*://youtube.com/api/stats/qoe*',
-    '*://*.youtube.com/api/stats/qoe*',
-
-    // Video ad segments (googlevideo.com with ad parameters)
-    '*://googlevideo.com/videoplayback*&aclk=*',
-    '*://googlevideo.com/videoplayback*&ad=*',
-    '*://googlevideo.com/videoplayback*ad_*',
-    '*://googlevideo.com/pcs/activeview*',
-    '*://*.googlevideo.com/videoplayback*&aclk=*',
-    '*://*.googlevideo.com/videoplayback*&ad=*',
-    '*://*.googlevideo.com/videoplayback*ad_*',
-    '*://*.googlevideo.com/pcs/activeview*',
-
-    // Ad tracking and analytics
-    '*://youtube.com/api/stats/watchtime*',
-    '*://*.youtube.com/api/stats/watchtime*',
-    '*://google.com/pagead/*',
-    '*://*.google.com/pagead/*',
-    '*://youtube.com/pagead/interaction/*',
-    '*://*.youtube.com/pagead/interaction/*'
-  ];
-
-  // Expose blocked patterns for mobile apps
-  window.SAFEGAZE_BLOCKED_AD_PATTERNS = BLOCKED_AD_PATTERNS;
-
-  // =============================================================================
-  // LAYER 1: PLAYER DATA INTERCEPTION
-  // Intercepts YouTube's player data to remove ads before they load
-  // =============================================================================
-
   /**
-   * Remove ad-related properties from YouTube player data
-   * Modifies objects in-place to preserve object types and avoid cloning overhead
-   * @param {Object} data - The data object to clean
-   * @returns {Object} The cleaned data object
+   * Create an independent blocker with its own hooks, observers and state
+   * @param {Object} [params]
+   * @param {Window} [params.window] - Window to hook, defaults to the page's own
+   * @param {Document} [params.document] - Document to watch, defaults to params.window.document
+   * @param {Object} [params.options] - Configuration (see DEFAULT_CONFIG), applied
+   *   over window.SAFEGAZE_YT_AD_CONFIG
+   * @param {Object} [params.storage] - Host-owned Storage-like object (getItem, setItem,
+   *   removeItem) for rules, statistics and the allowlist, see HOST STORAGE
+   * @param {string} [params.bridgeSecret] - Per-session secret host commands must carry,
+   *   see NATIVE HOST BRIDGE
+   * @param {Object} [params.loaderLink] - Link to the loader that started the script,
+   *   see reload()
+   * @param {boolean} [params.start=true] - false to hook and observe nothing, e.g.
+   *   to use the detection helpers in a test suite. Such a blocker reads nothing
+   *   from the page: built-in rules, params.options only, state kept in memory
+   * @returns {Object} Blocker API, see PUBLIC API
    */
-  function removeAdData(data) {
-    if (!data || typeof data !== 'object') {
-      return data;
-    }
-
-    // Only remove confirmed ad-related properties
-    var adProps = [
-      'playerAds',
-      'adPlacements',
-      'adSlots',
-      'ads',
-      'adBreakParams',
-      'companions'
-    ];
-
-    function cleanObject(obj) {
-      if (!obj || typeof obj !== 'object') return;
-
-      // Remove ad properties directly (no cloning)
-      for (var i = 0; i < adProps.length; i++) {
-        if (obj.hasOwnProperty(adProps[i])) {
-          delete obj[adProps[i]];
-        }
-      }
-
-      // Recursively clean nested objects
-      var keys = Object.keys(obj);
-      for (var j = 0; j < keys.length; j++) {
-        var key = keys[j];
-        if (obj[key] && typeof obj[key] === 'object') {
-          cleanObject(obj[key]);
+  function createBlocker(params) {
+    var teardownSteps = [];
+
+    try {
+      return buildBlocker(params || {}, teardownSteps);
+    } catch (e) {
+      // A blocker that fails to start takes its hooks with it: the version
+      // started in its place (loader rollback, reload) must not stack on them
+      while (teardownSteps.length > 0) {
+        try {
+          teardownSteps.pop().step();
+        } catch (undoError) {
+          // Keep undoing the rest, the start error is the one to report
         }
       }
+      throw e;
     }
-
-    cleanObject(data);
-    return data;
   }
 
-  // Layer 1A: Intercept ytInitialPlayerResponse (page load)
-  try {
-    var _ytInitialPlayerResponse;
+  /**
+   * Set up a blocker, see createBlocker()
+   * @param {Object} params - createBlocker() parameters
+   * @param {Array<{what: string, step: Function}>} teardownSteps - Filled with the
+   *   steps undoing every change to the page, see TEARDOWN
+   * @returns {Object} Blocker API
+   */
+  function buildBlocker(params, teardownSteps) {
+    var window = params.window || (params.document && params.document.defaultView) || root;
+    var document = params.document || window.document;
+    var start = params.start !== false;
+
+    // Browser APIs of the target window: hooks and instanceof checks must use
+    // the ones of the realm the page runs in (iframes, simulated DOMs)
+    var navigator = window.navigator;
+    var XMLHttpRequest = window.XMLHttpRequest;
+    var Element = window.Element;
+    var Node = window.Node;
+    var HTMLElement = window.HTMLElement;
+    var MutationObserver = window.MutationObserver;
+    var Event = window.Event;
+    var CustomEvent = window.CustomEvent;
+    var URL = window.URL;
+    var Response = window.Response;
+    var Headers = window.Headers;
+
+    function requestAnimationFrame(callback) {
+      return window.requestAnimationFrame(callback);
+    }
 
-    Object.defineProperty(window, 'ytInitialPlayerResponse', {
-      set: function(value) {
-        _ytInitialPlayerResponse = removeAdData(value);
-      },
-      get: function() {
-        return _ytInitialPlayerResponse;
-      },
-      configurable: true,
-      enumerable: true
-    });
-  } catch (error) {
-    console.error('[SafeGaze] Failed to hook ytInitialPlayerResponse:', error);
-  }
+    // Prevent multiple initializations (one running blocker per window)
+    if (start && window.__SAFEGAZE_YT_AD_BLOCKER_INITIALIZED__) {
+      throw new Error('[SafeGaze] A blocker is already running in this window');
+    }
+    if (start) {
+      window.__SAFEGAZE_YT_AD_BLOCKER_INITIALIZED__ = true;
+      onTeardown('running flag', function() {
+        delete window.__SAFEGAZE_YT_AD_BLOCKER_INITIALIZED__;
+      });
+    }
 
-  // Layer 1B: Intercept fetch() API (dynamic requests)
-  try {
-    var originalFetch = window.fetch;
+    // =============================================================================
+    // DIAGNOSTIC LOGGING
+    // Every layer logs what it detected, which rule matched and what failed into
+    // a bounded ring buffer. Users attach window.SAFEGAZE_YT_AD_BLOCKER.exportLogs()
+    // to bug reports. Only entries at config.logLevel or above reach the console.
+    // Categories: rules, config, stats, bridge, allowlist, patterns, player (1A),
+    // feed-data (1D), network (1B/1C), blocking (2B), dom (3), feed (4),
+    // segments (5), enforcement, events, lifecycle
+    // =============================================================================
+    var LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
 
-    window.fetch = function(input, init) {
-      var url = typeof input === 'string' ? input : input instanceof URL ? input.toString() : input.url;
+    // Used until the configuration below is read (rules load first)
+    var DEFAULT_LOG_SETTINGS = { logLevel: 'warn', logBufferSize: 500 };
 
-      // PERFORMANCE: Skip video CDN entirely (never intercept video segments)
-      if (url && url.indexOf('googlevideo.com') !== -1) {
-        return originalFetch.call(this, input, init);
+    /**
+     * Make an error JSON-serializable
+     * @param {*} error - Error or thrown value
+     * @returns {Object} {name, message, stack}
+     */
+    function describeError(error) {
+      if (!(error instanceof Error)) {
+        return { name: 'Error', message: String(error) };
       }
+      return { name: error.name, message: error.message, stack: error.stack || null };
+    }
 
-      // Call original fetch
-      return originalFetch.call(this, input, init).then(function(response) {
-        // PERFORMANCE: Only process JSON responses (skip binary video/images)
-        var contentType = response.headers.get('content-type');
-        if (!contentType || contentType.indexOf('application/json') === -1) {
-          return response;
+    var Logger = {
+      entries: [],
+      dropped: 0,
+
+      /**
+       * Record an event and echo it to the console at or above the log level
+       * @param {string} level - debug, info, warn or error
+       * @param {string} category - Layer or subsystem, see the list above
+       * @param {string} message - What happened
+       * @param {Object|Error} [data] - Details (URL, rule, counts), kept JSON-serializable
+       */
+      log: function(level, category, message, data) {
+        var settings = config || DEFAULT_LOG_SETTINGS;
+
+        if (data instanceof Error) {
+          data = { error: data };
+        }
+        if (data && data.error !== undefined) {
+          data.error = describeError(data.error);
         }
 
-        // Only intercept player API, NOT comments (/next) or navigation
-        if (url && url.indexOf('/youtubei/v1/player') !== -1 && url.indexOf('/next') === -1) {
-          // Clone response to read it
-          var cloned = response.clone();
-          return cloned.text().then(function(text) {
-            // Try to parse as JSON
-            var data;
-            try {
-              data = JSON.parse(text);
-            } catch (e) {
-              // Not JSON, return original
-              return response;
-            }
-
-            // Remove ad data (modifies in place)
-            removeAdData(data);
+        if (settings.logBufferSize > 0) {
+          this.entries.push({
+            timestamp: Date.now(),
+            level: level,
+            category: category,
+            message: message,
+            data: data === undefined ? null : data
+          });
 
-            // Reconstruct response with proper headers
-            var modifiedText = JSON.stringify(data);
-            var modifiedHeaders = new Headers(response.headers);
-            modifiedHeaders.set('content-length', modifiedText.length.toString());
+          var overflow = this.entries.length - settings.logBufferSize;
+          if (overflow > 0) {
+            this.entries.splice(0, overflow);
+            this.dropped += overflow;
+          }
+        }
 
-            return new Response(modifiedText, {
-              status: response.status,
-              statusText: response.statusText,
-              headers: modifiedHeaders
-            });
-          }).catch(function() {
-            return response;
-          });
+        if (LOG_LEVELS[level] >= LOG_LEVELS[settings.logLevel]) {
+          var prefix = '[SafeGaze][' + category + '] ' + message;
+          if (data === undefined) {
+            console[level](prefix);
+          } else {
+            console[level](prefix, data);
+          }
         }
+      },
 
-        return response;
-      });
-    };
-  } catch (error) {
-    console.error('[SafeGaze] Failed to hook fetch():', error);
-  }
+      debug: function(category, message, data) {
+        this.log('debug', category, message, data);
+      },
 
-  // Layer 1C: Intercept XMLHttpRequest (legacy support)
-  try {
-    var originalOpen = XMLHttpRequest.prototype.open;
-    var originalSend = XMLHttpRequest.prototype.send;
+      info: function(category, message, data) {
+        this.log('info', category, message, data);
+      },
 
-    XMLHttpRequest.prototype.open = function(method, url, async, user, password) {
-      this._sgUrl = url ? url.toString() : '';
-      return originalOpen.call(this, method, url, async !== false, user, password);
-    };
+      warn: function(category, message, data) {
+        this.log('warn', category, message, data);
+      },
 
-    XMLHttpRequest.prototype.send = function() {
-      var self = this;
-      var url = this._sgUrl || '';
-      var args = arguments;
+      error: function(category, message, data) {
+        this.log('error', category, message, data);
+      },
 
-      // CRITICAL: Only intercept player API, NOT comments (/next) or navigation
-      if (url.indexOf('/youtubei/v1/player') !== -1 && url.indexOf('/next') === -1) {
-        this.addEventListener('readystatechange', function() {
-          if (self.readyState === 4 && self.responseText) {
-            try {
-              var data = JSON.parse(self.responseText);
-              removeAdData(data);
-
-              // Override responseText getter
-              Object.defineProperty(self, 'responseText', {
-                writable: false,
-                configurable: true,
-                value: JSON.stringify(data)
-              });
-            } catch (e) {
-              // Not JSON or parsing failed, ignore
-            }
-          }
-        });
-      }
+      /**
+       * @returns {Object} Buffered entries with the context needed to read them
+       */
+      snapshot: function() {
+        return {
+          exportedAt: new Date().toISOString(),
+          url: getLocation().href,
+          userAgent: navigator ? navigator.userAgent : null,
+          rules: { version: activeRules.version, source: activeRulesSource },
+          config: config,
+          dropped: this.dropped,
+          entries: this.entries
+        };
+      },
 
-      return originalSend.apply(this, args);
+      clear: function() {
+        this.entries = [];
+        this.dropped = 0;
+      }
     };
-  } catch (error) {
-    console.error('[SafeGaze] Failed to hook XMLHttpRequest:', error);
-  }
-
-  // =============================================================================
-  // LAYER 3 & 4: ENHANCED DOM-BASED FALLBACK AND FEED MONITORING
-  // Detects and skips ads that slip through Layer 1-2
-  // Monitors and removes sponsored content from feeds
-  // =============================================================================
 
-  var YouTubeAdSkipper = {
-    observer: null,
-    feedObserver: null,
-    checkInterval: null,
-    isInitialized: false,
-    lastAdState: false,
-    userWasMuted: false,
+    // =============================================================================
+    // TEARDOWN
+    // Every patched API, accessor and listener registers how to undo itself when
+    // it is installed. destroy() runs these steps in reverse order, which puts the
+    // page back the way it was and lets a newer script start in its place
+    // (hot reload, see reload() in PUBLIC API). A blocker that throws while
+    // starting runs them too (see createBlocker()). teardownSteps is a parameter.
+    // =============================================================================
+    var destroyed = false;
 
     /**
-     * Initialize ad skipper
+     * Register a step that undoes one change to the page
+     * @param {string} what - What the step undoes, for the log if it fails
+     * @param {Function} step - Undoes the change
      */
-    init: function() {
-      var self = this;
-      if (this.isInitialized) return;
-
-      // Inject CSS for ad hiding (ENHANCED)
-      this.injectAdBlockingCSS();
-
-      // Always setup feed ad monitoring (works on all pages)
-      this.setupFeedAdMonitoring();
-
-      // Only setup video player monitoring on watch pages
-      if (this.isWatchPage()) {
-        // Wait for player then start detection
-        this.waitForPlayer().then(function() {
-          self.setupAdDetection();
-          self.isInitialized = true;
-        });
-      } else {
-        // For non-watch pages, still consider initialized
-        self.isInitialized = true;
-      }
-
-      // Handle YouTube SPA navigation
-      this.observeYouTubeNavigation();
-    },
+    function onTeardown(what, step) {
+      teardownSteps.push({ what: what, step: step });
+    }
 
     /**
-     * Wait for YouTube player to be ready
+     * Replace a method of a page object until destroy()
+     * If the page wraps the method again after us, ours cannot be taken out of
+     * that chain: it stays and passes every call straight through once destroyed.
+     * @param {Object} target - Object owning the method (or inheriting it)
+     * @param {string} name - Method name
+     * @param {Function} replacement - The new method
+     * @returns {Function} The original method
      */
-    waitForPlayer: function() {
-      return new Promise(function(resolve) {
-        function checkPlayer() {
-          var moviePlayer = document.getElementById('movie_player');
-          var video = document.querySelector('.video-stream');
-
-          if (moviePlayer && video) {
-            resolve();
-          } else {
-            setTimeout(checkPlayer, 100);
-          }
+    function patchMethod(target, name, replacement) {
+      var original = target[name];
+      var hadOwn = Object.prototype.hasOwnProperty.call(target, name);
+      var patched = function() {
+        return (destroyed ? original : replacement).apply(this, arguments);
+      };
+
+      target[name] = patched;
+      onTeardown(name + '()', function() {
+        if (target[name] !== patched) return;
+        if (hadOwn) {
+          target[name] = original;
+        } else {
+          delete target[name]; // Inherited again, e.g. from Navigator.prototype
         }
-
-        checkPlayer();
       });
-    },
+      return original;
+    }
 
     /**
-     * Setup ad detection - Simple and fast
+     * Add an event listener that destroy() removes
+     * @param {EventTarget} target - Window, document or element
+     * @param {string} type - Event type
+     * @param {Function} handler - Listener
      */
-    setupAdDetection: function() {
-      var self = this;
-      var moviePlayer = document.getElementById('movie_player');
-      if (!moviePlayer) return;
-
-      // MutationObserver for class changes
-      this.observer = new MutationObserver(function() {
-        self.handleAdDetection();
+    function listen(target, type, handler) {
+      target.addEventListener(type, handler);
+      onTeardown(type + ' listener', function() {
+        target.removeEventListener(type, handler);
       });
+    }
 
-      if (moviePlayer instanceof Node) {
-        this.observer.observe(moviePlayer, {
-          attributes: true,
-          attributeFilter: ['class']
-        });
-      }
-
-      // Backup polling every 100ms for reliability
-      this.checkInterval = setInterval(function() {
-        self.handleAdDetection();
-      }, 100);
-    },
+    var pendingTimers = [];
 
     /**
-     * Setup monitoring for feed ads and sponsored content (NEW)
+     * setTimeout() that destroy() cancels: DOM work a blocker scheduled must
+     * not land after it was taken down, or after its replacement started
+     * @param {Function} callback - Runs once
+     * @param {number} delay - Delay in ms
+     * @returns {*} Timer ID, for cancelLater()
      */
-    setupFeedAdMonitoring: function() {
-      var self = this;
-      var processingQueue = [];
-      var processingTimeout = null;
-
-      // Debounced processing function to batch mutations
-      function processQueue() {
-        if (processingQueue.length === 0) return;
-
-        var adsDetected = false;
-        var nodesToProcess = processingQueue.slice(); // Copy array
-        processingQueue = []; // Clear queue
-
-        nodesToProcess.forEach(function(node) {
-          // Skip if node is no longer in DOM
-          if (!document.contains(node)) return;
-
-          // Check if it's an ad container
-          if (self.checkIfSponsored(node)) {
-            self.cleanupAdParentContainers(node);
-            adsDetected = true;
-            return;
-          }
-
-          // Check children using modern selectors
-          var sponsoredElements = node.querySelectorAll(
-            'ytd-ad-slot-renderer, ' +
-            'ytd-in-feed-ad-layout-renderer, ' +
-            'ytd-display-ad-renderer, ' +
-            'ytd-promoted-video-renderer'
-          );
-
-          sponsoredElements.forEach(function(element) {
-            self.cleanupAdParentContainers(element);
-            adsDetected = true;
-          });
-        });
-
-        // Debounced reflow after all mutations processed
-        if (adsDetected) {
-          self.debouncedGridReflow();
-        }
-      }
-
-      // Create observer with debouncing
-      this.feedObserver = new MutationObserver(function(mutations) {
-        mutations.forEach(function(mutation) {
-          if (mutation.type === 'childList') {
-            mutation.addedNodes.forEach(function(node) {
-              if (node instanceof HTMLElement) {
-                // Filter: Only process rich items and ad containers
-                // This prevents processing every single DOM change
-                if (node.tagName === 'YTD-RICH-ITEM-RENDERER' ||
-                    node.tagName === 'YTD-AD-SLOT-RENDERER' ||
-                    node.tagName === 'YTD-IN-FEED-AD-LAYOUT-RENDERER' ||
-                    node.tagName === 'YTD-DISPLAY-AD-RENDERER') {
-                  processingQueue.push(node);
-                }
-              }
-            });
-          }
-        });
-
-        // Debounce: Wait 100ms after last mutation before processing
-        // This prevents cascade effects during hover interactions
-        if (processingTimeout) clearTimeout(processingTimeout);
-        processingTimeout = setTimeout(processQueue, 100);
-      });
-
-      // Start observing body immediately
-      // Body always exists, will catch all content
-      this.feedObserver.observe(document.body, {
-        childList: true,
-        subtree: true
-      });
-
-      // Initial cleanup
-      this.removeExistingSponsoredContent();
-    },
+    function later(callback, delay) {
+      var id = setTimeout(function() {
+        cancelLater(id);
+        callback();
+      }, delay);
+      pendingTimers.push(id);
+      return id;
+    }
 
     /**
-     * Remove parent containers and force grid reflow
-     * This eliminates empty space in YouTube's grid layout
-     * @param {HTMLElement} adElement - The detected ad element
+     * @param {*} id - Timer ID returned by later()
      */
-    cleanupAdParentContainers: function(adElement) {
-      if (!adElement) return;
-
-      var self = this;
-
-      try {
-        // Find the grid item container (ytd-rich-item-renderer)
-        var richItem = adElement.closest('ytd-rich-item-renderer');
-
-        if (richItem) {
-          // PROTECTION: Verify it's actually an ad before removing
-          var containsAdElement = richItem.querySelector(
-            'ytd-ad-slot-renderer, ' +
-            'ytd-in-feed-ad-layout-renderer, ' +
-            'ytd-display-ad-renderer, ' +
-            'ytd-promoted-video-renderer, ' +
-            'ytd-promoted-sparkles-web-renderer'
-          );
-
-          // PROTECTION: Don't remove legitimate videos
-          if (!containsAdElement || self.isLegitimateVideoContainer(richItem)) {
-            return;
-          }
-
-          // Mark for CSS hiding first (instant)
-          richItem.setAttribute('data-sg-ad-removed', 'true');
-
-          // Schedule DOM removal after CSS hiding takes effect
-          setTimeout(function() {
-            // Check if parent section will be empty
-            var richSection = richItem.closest('ytd-rich-section-renderer');
-            var shouldRemoveSection = false;
-
-            if (richSection) {
-              // Check if section only contains this ad item
-              var sectionItems = richSection.querySelectorAll('ytd-rich-item-renderer');
-              var nonAdItems = Array.prototype.filter.call(sectionItems, function(item) {
-                return !item.hasAttribute('data-sg-ad-removed') && item !== richItem;
-              });
-
-              shouldRemoveSection = nonAdItems.length === 0;
-            }
-
-            // Remove the item
-            richItem.remove();
-
-            // Remove empty section if applicable
-            if (shouldRemoveSection && richSection) {
-              richSection.remove();
-            }
+    function cancelLater(id) {
+      var index = pendingTimers.indexOf(id);
+      if (index !== -1) pendingTimers.splice(index, 1);
+      clearTimeout(id);
+    }
 
-            // Force grid reflow
-            self.forceGridReflow();
-          }, 50); // 50ms delay ensures CSS hiding happens first
-        }
-      } catch (e) {
-        console.error('[SafeGaze] Error cleaning up ad containers:', e);
+    onTeardown('pending timers', function() {
+      while (pendingTimers.length > 0) {
+        clearTimeout(pendingTimers.pop());
       }
-    },
+    });
 
     /**
-     * Force YouTube grid to recalculate layout
-     * Uses requestAnimationFrame for optimal performance
+     * Replace an accessor installed on a page object with a plain value
+     * @param {Object} target - Object owning the property
+     * @param {string} name - Property name
+     * @param {*} value - Value the page should see from now on
      */
-    forceGridReflow: function() {
-      requestAnimationFrame(function() {
-        var grids = document.querySelectorAll('ytd-rich-grid-renderer');
-
-        grids.forEach(function(grid) {
-          // Trigger reflow by reading offsetHeight then modifying style
-          var height = grid.offsetHeight; // Force browser to calculate layout
-
-          // Temporarily adjust grid properties to force recalculation
-          grid.style.gridTemplateColumns = window.getComputedStyle(grid).gridTemplateColumns;
-
-          // Reset on next frame to allow browser to optimize
-          requestAnimationFrame(function() {
-            grid.style.gridTemplateColumns = '';
-          });
-        });
+    function restoreDataProperty(target, name, value) {
+      Object.defineProperty(target, name, {
+        value: value,
+        writable: true,
+        configurable: true,
+        enumerable: true
       });
-    },
-
-    /**
-     * Debounced grid reflow to prevent excessive calls
-     * Stores timeout reference for cleanup
-     */
-    debouncedGridReflow: function() {
-      var self = this;
-      if (self._debouncedReflowTimeout) clearTimeout(self._debouncedReflowTimeout);
-
-      self._debouncedReflowTimeout = setTimeout(function() {
-        self.forceGridReflow();
-        self._debouncedReflowTimeout = null;
-      }, 150); // Wait 150ms after last ad removal
-    },
+    }
 
     /**
-     * Check if element is a legitimate video container that should never be removed
-     * @param {HTMLElement} element - The element to check
-     * @returns {boolean} True if it's a legitimate video container
+     * Undo every registered change, newest first
      */
-    isLegitimateVideoContainer: function(element) {
-      if (!element) return false;
-
-      var videoElementTypes = [
-        'YTD-VIDEO-RENDERER',
-        'YTD-GRID-VIDEO-RENDERER',
-        'YTD-COMPACT-VIDEO-RENDERER',
-        'YTD-PLAYLIST-VIDEO-RENDERER'
-      ];
-
-      // Check if element is a video renderer
-      if (videoElementTypes.indexOf(element.tagName) !== -1) {
-        return true;
+    function runTeardown() {
+      while (teardownSteps.length > 0) {
+        var entry = teardownSteps.pop();
+        try {
+          entry.step();
+        } catch (e) {
+          Logger.warn('lifecycle', 'Could not undo ' + entry.what, { error: e });
+        }
       }
+    }
 
-      // Check if element contains video renderers (but NOT ad renderers)
-      if (element.querySelector) {
-        var hasVideo = element.querySelector(
-          'ytd-video-renderer, ytd-grid-video-renderer, ' +
-          'ytd-compact-video-renderer, ytd-playlist-video-renderer'
-        );
+    // =============================================================================
+    // HOST STORAGE
+    // Rules, statistics and the allowlist outlive the page in storage the host
+    // owns, never in the page's localStorage, which every script on youtube.com
+    // can write. Hosts hand over a synchronous Storage-like object (getItem,
+    // setItem, removeItem) as createBlocker({storage}) or, before injection, as
+    // window.SAFEGAZE_YT_AD_STORAGE: e.g. an Android @JavascriptInterface or a
+    // mirror of chrome.storage kept by the content script. Without one, state
+    // only lasts for the page.
+    // =============================================================================
+    var HostStorage = {
+      backend: params.storage || (start && window.SAFEGAZE_YT_AD_STORAGE) || null,
+      memory: {},
+
+      /**
+       * @param {string} key - Storage key
+       * @returns {string|null} Stored value
+       */
+      getItem: function(key) {
+        if (this.backend) return this.backend.getItem(key);
+        return this.memory.hasOwnProperty(key) ? this.memory[key] : null;
+      },
 
-        var hasAd = element.querySelector(
-          'ytd-ad-slot-renderer, ytd-in-feed-ad-layout-renderer, ' +
-          'ytd-display-ad-renderer, ytd-promoted-video-renderer'
-        );
+      /**
+       * @param {string} key - Storage key
+       * @param {string} value - Value to store
+       */
+      setItem: function(key, value) {
+        if (this.backend) {
+          this.backend.setItem(key, value);
+        } else {
+          this.memory[key] = String(value);
+        }
+      },
 
-        // Only return true if it has video AND no ads
-        return hasVideo && !hasAd;
+      /**
+       * @param {string} key - Storage key
+       */
+      removeItem: function(key) {
+        if (this.backend) {
+          this.backend.removeItem(key);
+        } else {
+          delete this.memory[key];
+        }
       }
+    };
 
-      return false;
-    },
+    // Keep the host's storage out of reach of page scripts
+    if (start && window.SAFEGAZE_YT_AD_STORAGE) {
+      delete window.SAFEGAZE_YT_AD_STORAGE;
+    }
 
-    /**
-     * Enhanced sponsored content detection
-     * Uses multiple strategies for reliability
-     */
-    checkIfSponsored: function(element) {
-      if (!element) return false;
+    // =============================================================================
+    // FILTER RULES
+    // Every selector, tag name, JSON key and URL pattern used by the layers below
+    // lives in one versioned rule list. Hosts can ship a newer list without a new
+    // script, either before injection via window.SAFEGAZE_YT_AD_RULES or at
+    // runtime via window.SAFEGAZE_YT_AD_BLOCKER.updateRules(list).
+    // Sections present in a loaded list replace the built-in section; missing
+    // sections fall back to the defaults below.
+    // =============================================================================
+    var RULES_FORMAT = 1;
+    var RULES_STORAGE_KEY = 'safegaze-yt-ad-rules';
+
+    // Sections used as CSS selectors: empty ones would end up in querySelectorAll('')
+    var SELECTOR_SECTIONS = [
+      'enforcementSelectors', 'enforcementBackdrops', 'adContainers', 'feedSelectors',
+      'playerAdSignals', 'skipButtons', 'overlays', 'shortsPlayers', 'shortsReels',
+      'shortsAdSelectors', 'shortsNextButtons', 'shortsPreviousButtons', 'shortsShelfItems',
+      'musicPlayers', 'channelPlayers',
+      'musicPromoSelectors', 'mobileAdTags', 'mobileItemContainers', 'mobilePlayers',
+      'mobileVideos'
+    ];
 
-      // Strategy 1: Direct ad element type check (HIGHEST CONFIDENCE)
-      var adElementTypes = [
+    var DEFAULT_RULES = {
+      format: RULES_FORMAT,
+      version: '2025.12.0',
+
+      // Layer 1: known locations of ad data in player responses (dotted paths)
+      playerAdPaths: [
+        'playerAds',
+        'adPlacements',
+        'adSlots',
+        'adBreakHeartbeatParams',
+        'adBreakParams'
+      ],
+
+      // Layer 1: ad-related keys removed anywhere in player data of unknown shape
+      jsonKeys: [
+        'playerAds',
+        'adPlacements',
+        'adSlots',
+        'ads',
+        'adBreakParams',
+        'companions'
+      ],
+
+      // Layer 1: renderer keys of ad items in feed, search and guide data
+      feedRenderers: [
+        'adSlotRenderer',
+        'inFeedAdLayoutRenderer',
+        'displayAdRenderer',
+        'promotedSparklesWebRenderer',
+        'promotedSparklesTextSearchRenderer',
+        'promotedVideoRenderer',
+        'compactPromotedVideoRenderer',
+        'searchPyvRenderer',
+        'videoMastheadAdV3Renderer',
+        'bannerPromoRenderer',
+        'actionCompanionAdRenderer'
+      ],
+
+      // Layer 1: renderer keys of Premium and Movies & TV upsells (premium-upsells category)
+      upsellRenderers: [
+        'statementBannerRenderer',
+        'primetimePromoRenderer',
+        'mealbarPromoRenderer'
+      ],
+
+      // Anti-adblock: renderers of the "Ad blockers are not allowed" enforcement
+      enforcementRenderers: [
+        'enforcementMessageViewModel'
+      ],
+
+      // Anti-adblock: top-level keys of player/next responses that can carry them
+      enforcementContainers: [
+        'auxiliaryUi',
+        'auxiliaries',
+        'onResponseReceivedEndpoints'
+      ],
+
+      // Anti-adblock: enforcement popup elements and their backdrop
+      enforcementSelectors: [
+        'ytd-enforcement-message-view-model'
+      ],
+      enforcementBackdrops: [
+        'tp-yt-iron-overlay-backdrop'
+      ],
+
+      // Layer 3/4: tag names of ad renderers (HIGHEST CONFIDENCE)
+      elementTags: [
         'YTD-AD-SLOT-RENDERER',
         'YTD-IN-FEED-AD-LAYOUT-RENDERER',
         'YTD-DISPLAY-AD-RENDERER',
@@ -584,94 +510,43 @@
         'YTD-PROMOTED-VIDEO-RENDERER',
         'YTD-BANNER-PROMO-RENDERER',
         'YTD-ACTION-COMPANION-AD-RENDERER'
-      ];
-
-      if (adElementTypes.indexOf(element.tagName) !== -1) {
-        return true;
-      }
-
-      // Strategy 2: Check if element is inside an ad container (MEDIUM CONFIDENCE)
-      if (element.closest) {
-        for (var i = 0; i < adElementTypes.length; i++) {
-          if (element.closest(adElementTypes[i].toLowerCase())) {
-            return true;
-          }
-        }
-      }
-
-      // Strategy 3: Ad badge with strict validation (MEDIUM CONFIDENCE)
-      // Only check if element IS the badge, not if it contains one
-      if (element.tagName === 'AD-BADGE-VIEW-MODEL' ||
-          element.tagName === 'BADGE-SHAPE') {
-        // Additional validation: check if badge actually says "Ad" or "Sponsored"
-        var badgeText = (element.textContent || '').trim();
-        if (badgeText === 'Ad' ||
-            badgeText === 'Sponsored' ||
-            badgeText === 'Ad ·') {
-          return true;
-        }
-      }
-
-      // REMOVED: Strategy 3 (old) - Broad text content matching
-      // REMOVED: Strategy 4 - Broad aria-label matching
-      // These caused false positives on legitimate videos
+      ],
 
-      return false;
-    },
-
-    /**
-     * Check and remove sponsored content (NEW)
-     */
-    checkAndRemoveSponsoredContent: function(element) {
-      if (!element) return;
+      // Layer 4: added nodes worth inspecting (prevents processing every DOM change)
+      feedItemTags: [
+        'YTD-RICH-ITEM-RENDERER',
+        'YTD-AD-SLOT-RENDERER',
+        'YTD-IN-FEED-AD-LAYOUT-RENDERER',
+        'YTD-DISPLAY-AD-RENDERER',
 
-      var adSelectors = [
-        // Modern YouTube ad containers (2025)
+        // Shorts shelves and their items (see shortsShelfItems)
+        'YTD-RICH-SECTION-RENDERER',
+        'YTD-RICH-SHELF-RENDERER',
+        'YTD-REEL-SHELF-RENDERER',
+        'YTD-REEL-ITEM-RENDERER',
+        'YTM-SHORTS-LOCKUP-VIEW-MODEL',
+        'YTM-SHORTS-LOCKUP-VIEW-MODEL-V2'
+      ],
+
+      // Layer 4: ad renderers nested inside feed items
+      adContainers: [
         'ytd-ad-slot-renderer',
         'ytd-in-feed-ad-layout-renderer',
-        'ad-badge-view-model',
         'ytd-display-ad-renderer',
+        'ytd-promoted-video-renderer',
+        'ytd-promoted-sparkles-web-renderer'
+      ],
 
-        // Legacy selectors (keep for compatibility)
-        '.ytd-merch-shelf-renderer',
-        '.ytd-single-option-survey-renderer',
-        'ytd-statement-banner-renderer',
-        'ytd-banner-promo-renderer',
-
-        // Video masthead ads
-        'ytd-video-masthead-ad-v3-renderer',
-        'ytd-video-masthead-ad-primary-video-renderer'
-      ];
-
-      var shouldRemove = false;
-
-      // Check if element matches any ad selector
-      for (var i = 0; i < adSelectors.length; i++) {
-        try {
-          if (element.matches && element.matches(adSelectors[i])) {
-            shouldRemove = true;
-            break;
-          }
-          // Also check if closest ancestor matches
-          if (element.closest && element.closest(adSelectors[i])) {
-            shouldRemove = true;
-            break;
-          }
-        } catch (e) {
-          // Invalid selector, skip
-        }
-      }
-
-      if (shouldRemove) {
-        element.remove();
-      }
-    },
+      // Layer 4: legitimate video renderers that must never be removed
+      videoTags: [
+        'YTD-VIDEO-RENDERER',
+        'YTD-GRID-VIDEO-RENDERER',
+        'YTD-COMPACT-VIDEO-RENDERER',
+        'YTD-PLAYLIST-VIDEO-RENDERER'
+      ],
 
-    /**
-     * Remove existing sponsored content from the page (NEW)
-     */
-    removeExistingSponsoredContent: function() {
-      var adSelectors = [
+      // Layer 4: sponsored content removed on page load
+      feedSelectors: [
         // Modern YouTube ad containers (2025)
         'ytd-ad-slot-renderer',
         'ytd-in-feed-ad-layout-renderer',
@@ -679,366 +554,5818 @@
         'ytd-display-ad-renderer',
 
         // Legacy selectors (keep for compatibility)
-        '.ytd-merch-shelf-renderer',
-        '.ytd-single-option-survey-renderer',
-        'ytd-statement-banner-renderer',
         'ytd-banner-promo-renderer',
 
         // Video masthead ads
         'ytd-video-masthead-ad-v3-renderer',
         'ytd-video-masthead-ad-primary-video-renderer'
-      ];
+      ],
+
+      // Layer 4: exact ad badge texts (ad-badge-view-model, badge-shape), matched
+      // in every UI language on top of the localized labels in adLabels
+      badgeLabels: [
+        'Ad',
+        'Sponsored',
+        'Ad ·'
+      ],
+
+      // Layer 3/4: "Ad" and "Sponsored" badges in each UI language (see
+      // LOCALIZED AD LABELS). Keys are lowercase BCP 47 tags, a region tag
+      // falls back to its language.
+      adLabels: {
+        en: ['Ad', 'Ads', 'Sponsored'],
+        ar: ['إعلان', 'إعلانات', 'إعلان ممول', 'برعاية'],
+        bn: ['বিজ্ঞাপন', 'স্পনসর করা'],
+        de: ['Anzeige', 'Werbung', 'Gesponsert'],
+        es: ['Anuncio', 'Anuncios', 'Patrocinado'],
+        fa: ['آگهی', 'تبلیغ', 'حمایت‌شده'],
+        fr: ['Annonce', 'Annonces', 'Publicité', 'Sponsorisé'],
+        hi: ['विज्ञापन', 'प्रायोजित'],
+        id: ['Iklan', 'Bersponsor', 'Disponsori'],
+        it: ['Annuncio', 'Annunci', 'Sponsorizzato'],
+        ja: ['広告', 'スポンサー'],
+        ko: ['광고', '스폰서'],
+        ms: ['Iklan', 'Ditaja', 'Bertaja'],
+        nl: ['Advertentie', 'Gesponsord'],
+        pl: ['Reklama', 'Sponsorowane'],
+        pt: ['Anúncio', 'Anúncios', 'Patrocinado'],
+        ru: ['Реклама', 'Спонсорский контент'],
+        th: ['โฆษณา', 'ได้รับการสนับสนุน'],
+        tr: ['Reklam', 'Sponsorlu'],
+        uk: ['Реклама', 'Спонсорований вміст'],
+        ur: ['اشتہار', 'اشتہارات', 'سپانسر شدہ'],
+        vi: ['Quảng cáo', 'Được tài trợ'],
+        zh: ['广告', '赞助'],
+        'zh-tw': ['廣告', '贊助'],
+        'zh-hk': ['廣告', '贊助'],
+        'zh-hant': ['廣告', '贊助']
+      },
 
-      var self = this;
-      var foundAds = false;
+      // Layer 3: elements whose presence means an ad is playing
+      playerAdSignals: [
+        '.ytp-ad-player-overlay',
+        '.video-ads.ytp-ad-module',
+        '.ytp-ad-text'
+      ],
 
-      adSelectors.forEach(function(selector) {
-        try {
-          var elements = document.querySelectorAll(selector);
-          elements.forEach(function(element) {
-            self.cleanupAdParentContainers(element);
-            foundAds = true;
-          });
-        } catch (e) {
-          // Invalid selector, skip
+      // Layer 3: skip ad buttons, first visible match is clicked
+      skipButtons: [
+        '.ytp-ad-skip-button',
+        '.ytp-ad-skip-button-modern',
+        '.ytp-skip-ad-button'
+      ],
+
+      // Layer 3: ad overlays removed from the player
+      overlays: [
+        '.ytp-ad-overlay-container',
+        '.ytp-ad-text-overlay',
+        '.ytp-ad-image-overlay',
+        '.ytp-ad-player-overlay-flyout-cta',
+        '.ytp-ad-overlay-close-container',
+
+        // Embedded player overlay and call-to-action formats
+        '.ytp-ad-overlay-slot',
+        '.ytp-flyout-cta',
+        '.ytp-ad-action-interstitial'
+      ],
+
+      // Shorts: paths inside a reel_watch_sequence entry that mark it as an ad
+      reelAdPaths: [
+        'command.reelWatchEndpoint.adClientParams.isAd'
+      ],
+
+      // Shorts: the Shorts player, first match wins (desktop, mobile web)
+      shortsPlayers: [
+        'ytd-shorts',
+        '.carousel-wrapper'
+      ],
+
+      // Shorts: reels of the Shorts player. The current one has is-active on
+      // desktop, on mobile web it is the reel in the middle of the screen.
+      shortsReels: [
+        'ytd-reel-video-renderer',
+        '.carousel-wrapper .carousel-item'
+      ],
+
+      // Shorts: ad content inside a reel
+      shortsAdSelectors: [
+        'ytd-ad-slot-renderer',
+        'ytd-in-feed-ad-layout-renderer',
+        'ytm-ad-slot-renderer',
+        'ytm-promoted-sparkles-web-renderer',
+        'ad-badge-view-model'
+      ],
+
+      // Layer 4: items of Shorts shelves in feeds and search, removed when they
+      // hold an ad renderer or an ad badge (the shelf stays)
+      shortsShelfItems: [
+        'ytd-reel-item-renderer',
+        'ytm-shorts-lockup-view-model',
+        'ytm-shorts-lockup-view-model-v2'
+      ],
+
+      // Shorts: buttons that move to the next and previous reel
+      shortsNextButtons: [
+        '#navigation-button-down button'
+      ],
+      shortsPreviousButtons: [
+        '#navigation-button-up button'
+      ],
+
+      // YouTube Music: elements hosting the player (#movie_player inside)
+      musicPlayers: [
+        'ytmusic-player'
+      ],
+
+      // Channel pages: the player of the autoplaying channel trailer, first match wins
+      channelPlayers: [
+        'ytd-channel-video-player-renderer .html5-video-player',
+        '#c4-player'
+      ],
+
+      // YouTube Music: renderer keys of Premium promos in browse data
+      musicFeedRenderers: [
+        'mealbarPromoRenderer',
+        'statementBannerRenderer'
+      ],
+
+      // YouTube Music: promo shelves and "Try Premium" banners removed from the page
+      musicPromoSelectors: [
+        'ytmusic-mealbar-promo-renderer',
+        'ytmusic-statement-banner-renderer'
+      ],
+
+      // Mobile web (m.youtube.com): tag names of ad renderers
+      mobileAdTags: [
+        'YTM-PROMOTED-SPARKLES-WEB-RENDERER',
+        'YTM-PROMOTED-SPARKLES-TEXT-SEARCH-RENDERER',
+        'YTM-PROMOTED-VIDEO-RENDERER',
+        'YTM-COMPANION-AD-RENDERER',
+        'YTM-COMPANION-SLOT',
+        'YTM-AD-SLOT-RENDERER'
+      ],
+
+      // Mobile web: feed items removed together with the ad they hold
+      mobileItemContainers: [
+        'ytm-rich-item-renderer',
+        'ytm-rich-section-renderer'
+      ],
+
+      // Mobile web: the player and its video element, first match wins
+      mobilePlayers: [
+        '#player-container-id .html5-video-player',
+        '.html5-video-player'
+      ],
+      mobileVideos: [
+        '.html5-video-player video.html5-main-video',
+        '.html5-video-player video'
+      ],
+
+      // Layer 3/4: cosmetic CSS, one block per entry
+      // category names the config.annoyances switch of the block, 'ads' if missing
+      // surfaces limits the block to pages showing a player or a feed, see PAGE ROUTES
+      cosmetic: [
+        {
+          comment: 'Hide ad-related elements',
+          category: 'ads',
+          surfaces: ['player'],
+          selectors: [
+            '.ad-showing .video-ads',
+            '.ad-showing .ytp-ad-module',
+            '.ad-showing .ytp-ad-player-overlay',
+            '.ad-interrupting .video-ads',
+            '.ad-interrupting .ytp-ad-module',
+            '.ad-interrupting .ytp-ad-player-overlay'
+          ],
+          declarations: ['display: none !important', 'visibility: hidden !important']
+        },
+        {
+          comment: 'Hide YouTube ad renderers',
+          category: 'ads',
+          surfaces: ['feed'],
+          selectors: [
+            'ytd-display-ad-renderer',
+            'ytd-video-masthead-ad-v3-renderer',
+            'ytd-promoted-sparkles-web-renderer',
+            'ytd-compact-promoted-video-renderer',
+            'ytd-promoted-video-renderer',
+            'ytd-banner-promo-renderer',
+            'ytd-action-companion-ad-renderer'
+          ],
+          declarations: ['display: none !important']
+        },
+        {
+          comment: '2024 YouTube ad selectors - Home Feed, Search, and Browse',
+          category: 'ads',
+          selectors: [
+            '.ytd-search-pyv-renderer',         // Search result promoted videos
+            '.ad-container',                    // General ad containers
+            '#player-ads',                      // Player area ads
+            '.ytp-ad-overlay-container',        // Ad overlay containers
+            'YTM-PROMOTED-VIDEO-RENDERER',      // Mobile promoted videos
+            '.iv-promo',                        // In-video promotions
+            '.companion-ad'                     // Companion ads
+          ],
+          declarations: ['display: none !important', 'visibility: hidden !important']
+        },
+        {
+          comment: 'Additional ad containers and overlays',
+          category: 'ads',
+          selectors: [
+            '.video-ads',
+            '.ytp-ad-progress-list',
+            '[data-ad-impression]',               // Elements with ad tracking
+            '[aria-label*="ad"]',                 // Elements with ad in aria-label
+            '[aria-label*="Ad"]',                 // Elements with Ad in aria-label
+            '[aria-label*="sponsored"]',          // Elements with sponsored in aria-label
+            '[aria-label*="Sponsored"]'           // Elements with Sponsored in aria-label
+          ],
+          declarations: ['display: none !important', 'visibility: hidden !important']
+        },
+        {
+          comment: 'Embedded player ad overlays and call-to-action cards',
+          category: 'ads',
+          surfaces: ['player'],
+          selectors: [
+            '.ytp-ad-overlay-slot',
+            '.ytp-flyout-cta',
+            '.ytp-ad-action-interstitial'
+          ],
+          declarations: ['display: none !important']
+        },
+        {
+          comment: 'Skip ad button container',
+          category: 'ads',
+          surfaces: ['player'],
+          selectors: ['.ytp-ad-skip-button-container'],
+          declarations: ['display: none !important']
+        },
+        {
+          comment: 'Modern YouTube Ad Containers (December 2025)',
+          category: 'ads',
+          surfaces: ['feed'],
+          selectors: [
+            'ytd-ad-slot-renderer',
+            'ytd-in-feed-ad-layout-renderer',
+            'ad-badge-view-model',
+            'ytd-rich-item-renderer:has(> #content > ytd-ad-slot-renderer)',
+            'ytd-item-section-renderer:has(ytd-ad-slot-renderer)',
+            'ytd-video-masthead-ad-primary-video-renderer',
+            'ytd-banner-promo-renderer'
+          ],
+          declarations: [
+            'display: none !important',
+            'visibility: hidden !important',
+            'height: 0 !important',
+            'margin: 0 !important',
+            'padding: 0 !important'
+          ]
+        },
+        {
+          comment: 'Mobile web (m.youtube.com) ad renderers',
+          category: 'ads',
+          surfaces: ['feed'],
+          selectors: [
+            'ytm-promoted-sparkles-web-renderer',
+            'ytm-promoted-sparkles-text-search-renderer',
+            'ytm-companion-ad-renderer',
+            'ytm-companion-slot',
+            'ytm-ad-slot-renderer',
+            'ytm-rich-item-renderer:has(> ytm-ad-slot-renderer)'
+          ],
+          declarations: ['display: none !important']
+        },
+        {
+          comment: 'Merchandise and ticket shelves',
+          category: 'merch',
+          surfaces: ['feed'],
+          selectors: [
+            'ytd-merch-shelf-renderer',
+            '.ytd-merch-shelf-renderer',
+            'ytd-ticket-shelf-renderer',
+            'ytm-merch-shelf-renderer'
+          ],
+          declarations: ['display: none !important']
+        },
+        {
+          comment: 'Premium, YouTube Music and Movies & TV upsells',
+          category: 'premium-upsells',
+          selectors: [
+            'ytd-statement-banner-renderer',
+            'ytd-primetime-promo-renderer',
+            'ytd-mealbar-promo-renderer',
+            'yt-mealbar-promo-renderer',
+            'ytd-movie-offer-module-renderer',
+            'ytmusic-mealbar-promo-renderer',
+            'ytmusic-statement-banner-renderer',
+            'ytm-statement-banner-renderer'
+          ],
+          declarations: ['display: none !important']
+        },
+        {
+          comment: 'Survey cards in feeds and under the player',
+          category: 'surveys',
+          surfaces: ['feed'],
+          selectors: [
+            'ytd-single-option-survey-renderer',
+            '.ytd-single-option-survey-renderer',
+            'ytd-inline-survey-renderer'
+          ],
+          declarations: ['display: none !important']
+        },
+        {
+          comment: '"Includes paid promotion" overlay',
+          category: 'paid-promotion-disclosures',
+          surfaces: ['player'],
+          selectors: [
+            '.ytp-paid-content-overlay',
+            'ytm-paid-content-overlay-renderer'
+          ],
+          declarations: ['display: none !important']
+        },
+        {
+          comment: 'End-screen cards and the end-of-video grid',
+          category: 'end-screens',
+          surfaces: ['player'],
+          selectors: [
+            '.ytp-ce-element',
+            '.ytp-endscreen-content',
+            '.html5-endscreen'
+          ],
+          declarations: ['display: none !important']
+        },
+        {
+          comment: 'Shorts shelves in feeds and search',
+          category: 'shorts-shelves',
+          surfaces: ['feed'],
+          selectors: [
+            'ytd-reel-shelf-renderer',
+            'ytd-rich-shelf-renderer[is-shorts]',
+            'ytd-rich-section-renderer:has(ytd-rich-shelf-renderer[is-shorts])',
+            'ytm-reel-shelf-renderer'
+          ],
+          declarations: ['display: none !important']
+        },
+        {
+          comment: 'Force grid to collapse when items are removed',
+          category: 'ads',
+          surfaces: ['feed'],
+          selectors: ['ytd-rich-grid-renderer'],
+          declarations: ['grid-auto-rows: minmax(0, auto) !important']
+        },
+        {
+          comment: 'Hide empty rich sections completely',
+          category: 'ads',
+          surfaces: ['feed'],
+          selectors: [
+            'ytd-rich-section-renderer:empty',
+            'ytd-rich-section-renderer:has(> #content:empty)'
+          ],
+          declarations: ['display: none !important', 'height: 0 !important', 'margin: 0 !important']
+        },
+        {
+          comment: 'Mark items for cleanup with data attribute',
+          category: 'ads',
+          surfaces: ['feed'],
+          selectors: [
+            'ytd-rich-item-renderer[data-sg-ad-removed]',
+            'ytd-reel-item-renderer[data-sg-ad-removed]',
+            'ytm-shorts-lockup-view-model[data-sg-ad-removed]',
+            'ytm-shorts-lockup-view-model-v2[data-sg-ad-removed]'
+          ],
+          declarations: [
+            'display: none !important',
+            'height: 0 !important',
+            'margin: 0 !important',
+            'padding: 0 !important'
+          ]
         }
-      });
+      ],
+
+      // Layer 2: URL patterns for network-level blocking
+      urlPatterns: [
+        // Ad serving domains
+        '*://*.googlesyndication.com/*',
+        '*://*.doubleclick.net/*',
+        '*://googleads.g.doubleclick.net/*',
+        '*://static.doubleclick.net/*',
+
+        // YouTube ad endpoints (classic)
+        '*://youtube.com/api/stats/ads*',
+        '*://youtube.com/ptracking*',
+        '*://youtube.com/pagead/*',
+        '*://youtube.com/get_midroll_*',
+        '*://youtube.com/ad_*',
+        '*://youtube.com/adunit/*',
+        '*://*.youtube.com/api/stats/ads*',
+        '*://*.youtube.com/ptracking*',
+        '*://*.youtube.com/pagead/*',
+        '*://*.youtube.com/get_midroll_*',
+        '*://*.youtube.com/ad_*',
+
+        // YouTube API v1 ad endpoints
+        '*://youtube.com/youtubei/v1/player/ad_*',
+        '*://*.youtube.com/youtubei/v1/player/ad_*',
+        '*://youtube.com/api/stats/qoe*',
+        '*://*.youtube.com/api/stats/qoe*',
+
+        // Video ad segments (googlevideo.com with ad parameters)
+        '*://googlevideo.com/videoplayback*&aclk=*',
+        '*://googlevideo.com/videoplayback*&ad=*',
+        '*://googlevideo.com/videoplayback*ad_*',
+        '*://googlevideo.com/pcs/activeview*',
+        '*://*.googlevideo.com/videoplayback*&aclk=*',
+        '*://*.googlevideo.com/videoplayback*&ad=*',
+        '*://*.googlevideo.com/videoplayback*ad_*',
+        '*://*.googlevideo.com/pcs/activeview*',
+
+        // Ad tracking and analytics
+        '*://youtube.com/api/stats/watchtime*',
+        '*://*.youtube.com/api/stats/watchtime*',
+        '*://google.com/pagead/*',
+        '*://*.google.com/pagead/*',
+        '*://youtube.com/pagead/interaction/*',
+        '*://*.youtube.com/pagead/interaction/*'
+      ]
+    };
 
-      // Single reflow after all initial ads removed
-      if (foundAds) {
-        setTimeout(function() {
-          self.forceGridReflow();
-        }, 200); // 200ms ensures all DOM removals complete
+    /**
+     * Compare two dotted version strings numerically
+     * @param {string} a - First version (e.g. '2025.12.0')
+     * @param {string} b - Second version
+     * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+     */
+    function compareVersions(a, b) {
+      var partsA = String(a).split('.');
+      var partsB = String(b).split('.');
+      var length = Math.max(partsA.length, partsB.length);
+
+      for (var i = 0; i < length; i++) {
+        var diff = (parseInt(partsA[i], 10) || 0) - (parseInt(partsB[i], 10) || 0);
+        if (diff !== 0) return diff;
       }
-    },
+
+      return 0;
+    }
 
     /**
-     * Layer 3: Fallback ad detection and skipping
-     * Only triggers if ads slip through Layers 1-2 (should be rare)
-     * More aggressive detection and immediate skipping
+     * Check that a rule list has the expected format and section types
+     * @param {Object} list - Candidate rule list
+     * @returns {string|null} Error message, or null if the list is usable
      */
-    handleAdDetection: function() {
-      var video = document.querySelector('.video-stream');
-      var moviePlayer = document.getElementById('movie_player');
+    function validateRules(list) {
+      if (!list || typeof list !== 'object') {
+        return 'rule list must be an object';
+      }
 
-      if (!video || !moviePlayer) return;
+      if (list.format !== RULES_FORMAT) {
+        return 'unsupported rule list format: ' + list.format;
+      }
 
-      // Multi-signal ad detection (more comprehensive)
-      var isNowInAd = (moviePlayer && (
-          moviePlayer.classList.contains('ad-showing') ||
-          moviePlayer.classList.contains('ad-interrupting')
-        )) ||
-        document.querySelector('.ytp-ad-player-overlay') !== null ||
-        document.querySelector('.video-ads.ytp-ad-module') !== null ||
-        document.querySelector('.ytp-ad-text') !== null;
+      if (typeof list.version !== 'string' || !list.version) {
+        return 'rule list is missing a version';
+      }
 
-      var wasInAd = this.lastAdState;
+      var sections = Object.keys(DEFAULT_RULES);
+      for (var i = 0; i < sections.length; i++) {
+        var name = sections[i];
+        if (name === 'format' || name === 'version' || !list.hasOwnProperty(name)) continue;
 
-      // STATE TRANSITION: Entering ad state (fallback - should be rare with MAIN world script)
-      if (isNowInAd && !wasInAd) {
-        // Save user's mute preference
-        this.userWasMuted = video.muted;
+        var section = list[name];
+        if (name === 'adLabels') {
+          var labelsError = validateAdLabels(section);
+          if (labelsError) return labelsError;
+          continue;
+        }
 
-        // Mute immediately
-        video.muted = true;
+        if (!Array.isArray(section)) {
+          return 'section "' + name + '" must be an array';
+        }
 
-        // Skip to end IMMEDIATELY (most aggressive)
-        if (video.duration && !isNaN(video.duration)) {
-          video.currentTime = video.duration;
+        if (section.length === 0 && (name === 'cosmetic' || SELECTOR_SECTIONS.indexOf(name) !== -1)) {
+          return 'section "' + name + '" must not be empty';
         }
 
-        // Also try speed-up as backup
-        video.playbackRate = 16;
+        for (var j = 0; j < section.length; j++) {
+          var entry = section[j];
+          var valid = name === 'cosmetic' ?
+            entry && isNonEmptyStringList(entry.selectors) && isNonEmptyStringList(entry.declarations) &&
+              (entry.category === undefined || typeof entry.category === 'string') &&
+              (entry.surfaces === undefined || Array.isArray(entry.surfaces)) :
+            typeof entry === 'string' && entry.trim() !== '';
 
-        // Click skip buttons
-        this.clickSkipButton();
-        this.removeAdOverlays();
+          if (!valid) {
+            return 'invalid entry ' + j + ' in section "' + name + '"';
+          }
+        }
       }
 
-      // STATE TRANSITION: Exiting ad state
-      if (!isNowInAd && wasInAd) {
-        // Restore user's original mute preference
-        video.muted = this.userWasMuted;
-
-        // Reset playback speed
-        video.playbackRate = 1;
+      return null;
+    }
 
-        // Auto-resume playback
-        setTimeout(function() {
-          if (video.paused) {
-            video.play().catch(function() {
-              // Ignore autoplay errors
-            });
-          }
-        }, 50);
+    /**
+     * Check the adLabels section: lowercase language tags to lists of labels
+     * @param {*} section - Section of a rule list
+     * @returns {string|null} Error message, or null if valid
+     */
+    function validateAdLabels(section) {
+      if (!section || typeof section !== 'object' || Array.isArray(section)) {
+        return 'section "adLabels" must be an object';
       }
 
-      // When STAYING in ad state, continuously try to skip
-      if (isNowInAd && wasInAd) {
-        // Keep jumping to end
-        if (video.duration && !isNaN(video.duration)) {
-          if (video.currentTime < video.duration - 0.3) {
-            video.currentTime = video.duration;
-          }
+      var languages = Object.keys(section);
+      for (var i = 0; i < languages.length; i++) {
+        if (!/^[a-z]{2,3}(?:-[a-z0-9]+)*$/.test(languages[i]) || !isNonEmptyStringList(section[languages[i]])) {
+          return 'invalid language "' + languages[i] + '" in section "adLabels"';
         }
-        this.clickSkipButton();
-        this.removeAdOverlays();
       }
 
-      // When STAYING in content state - DO NOTHING (respect user controls)
+      return null;
+    }
+
+    /**
+     * @param {*} value - Value to check
+     * @returns {boolean} True for a non-empty array of non-blank strings
+     */
+    function isNonEmptyStringList(value) {
+      return Array.isArray(value) && value.length > 0 && value.every(function(item) {
+        return typeof item === 'string' && item.trim() !== '';
+      });
+    }
+
+    /**
+     * Merge a rule list over the built-in defaults
+     * Sections present in the list replace the default section entirely
+     * @param {Object} list - Validated rule list
+     * @returns {Object} Complete rule list
+     */
+    function mergeRules(list) {
+      var merged = {};
+      var sections = Object.keys(DEFAULT_RULES);
+
+      for (var i = 0; i < sections.length; i++) {
+        var name = sections[i];
+        merged[name] = list && list.hasOwnProperty(name) ? list[name] : DEFAULT_RULES[name];
+      }
+
+      return merged;
+    }
+
+    /**
+     * Read the rule list cached by a previous updateRules() call
+     * @returns {Object|null} Cached rule list, or null if none is stored
+     */
+    function readCachedRules() {
+      try {
+        var stored = HostStorage.getItem(RULES_STORAGE_KEY);
+        return stored ? JSON.parse(stored) : null;
+      } catch (e) {
+        Logger.warn('rules', 'Could not read cached rule list', { error: e });
+        return null;
+      }
+    }
+
+    /**
+     * Pick the rule list to start with
+     * The first valid list wins: host-provided window.SAFEGAZE_YT_AD_RULES, then
+     * the list cached in host storage, then the built-in defaults. Lists older
+     * than the defaults shipped with this script are skipped.
+     * @returns {{rules: Object, source: string}} Active rules and where they came from
+     */
+    function loadStartupRules() {
+      var candidates = [
+        { list: window.SAFEGAZE_YT_AD_RULES, source: 'host' },
+        { list: readCachedRules(), source: 'cache' }
+      ];
+      var best = { list: null, source: 'default' };
+
+      for (var i = 0; i < candidates.length && !best.list; i++) {
+        var candidate = candidates[i];
+        if (!candidate.list) continue;
+
+        var error = validateRules(candidate.list);
+        if (error) {
+          Logger.error('rules', 'Ignoring ' + candidate.source + ' rule list', { reason: error });
+          continue;
+        }
+
+        // Never downgrade below the rules shipped with this script
+        if (compareVersions(candidate.list.version, DEFAULT_RULES.version) < 0) {
+          Logger.info('rules', 'Ignoring ' + candidate.source + ' rule list older than the built-in one', {
+            version: candidate.list.version
+          });
+          continue;
+        }
+
+        best = candidate;
+      }
+
+      Logger.info('rules', 'Loaded ' + best.source + ' rule list', {
+        version: best.list ? best.list.version : DEFAULT_RULES.version
+      });
+      return { rules: mergeRules(best.list), source: best.source };
+    }
+
+    // Not started: the built-in rules, nothing read from the page or the host
+    var startupRules = start ? loadStartupRules() : { rules: mergeRules(null), source: 'default' };
+    var activeRules = startupRules.rules;
+    var activeRulesSource = startupRules.source;
+
+    // =============================================================================
+    // LOCALIZED AD LABELS
+    // YouTube translates the "Ad" and "Sponsored" badges into the UI language.
+    // Badge detection (Layer 4) and the aria-label CSS rules (Layer 3/4) match the
+    // labels of the page language (adLabels rules), read from <html lang> or ytcfg HL.
+    // =============================================================================
+
+    // Lowercase labels isAdLabel() matches, for one rule list and page
+    // (cleared on navigation, the UI language is read again then)
+    var adLabelCache = null;
+    /**
+     * Read the YouTube UI language of the page
+     * @returns {string|null} Lowercase language tag (e.g. 'fr', 'zh-tw'), null if unknown
+     */
+    function getUiLanguage() {
+      var lang = document.documentElement && document.documentElement.lang;
+
+      if (!lang) {
+        try {
+          var ytcfg = window.ytcfg;
+          lang = ytcfg && (typeof ytcfg.get === 'function' ? ytcfg.get('HL') : ytcfg.data_ && ytcfg.data_.HL);
+        } catch (e) {
+          Logger.debug('rules', 'Could not read ytcfg HL', { error: e });
+        }
+      }
+
+      return typeof lang === 'string' && lang ? lang.toLowerCase().replace(/_/g, '-') : null;
+    }
+
+    /**
+     * Ad badge labels of a UI language, falling back from region to language
+     * @param {string|null} language - Lowercase language tag
+     * @returns {Array<string>} Localized labels, empty if the language is not in adLabels
+     */
+    function getLocalizedAdLabels(language) {
+      var labels = activeRules.adLabels;
+      if (!language) return [];
+      if (labels.hasOwnProperty(language)) return labels[language];
+
+      var primary = language.split('-')[0];
+      return labels.hasOwnProperty(primary) ? labels[primary] : [];
+    }
+
+    /**
+     * The labels isAdLabel() matches: badgeLabels and the page language's
+     * Built once per rule list and page; not kept while the page has no language yet
+     * @returns {Object} Lowercase labels as keys
+     */
+    function getAdLabelSet() {
+      if (adLabelCache && adLabelCache.rules === activeRules) return adLabelCache.labels;
+
+      var language = getUiLanguage();
+      var labels = {};
+      activeRules.badgeLabels.concat(getLocalizedAdLabels(language)).forEach(function(label) {
+        labels[label.toLowerCase()] = true;
+      });
+
+      adLabelCache = language ? { rules: activeRules, labels: labels } : null;
+      return labels;
+    }
+
+    /**
+     * Check if a badge text or aria-label is an ad label in the page language
+     * Separators around the label ('Ad ·') are ignored, case is not
+     * @param {string} text - Badge text or aria-label
+     * @returns {boolean} True if the text is exactly an ad label
+     */
+    function isAdLabel(text) {
+      if (!text) return false;
+
+      var label = String(text).replace(/^[\s·•|]+|[\s·•|]+$/g, '').toLowerCase();
+      if (!label) return false;
+
+      return getAdLabelSet().hasOwnProperty(label);
+    }
+
+    // =============================================================================
+    // RUNTIME CONFIGURATION
+    // Each layer can be switched off on its own and timings can be tuned live via
+    // window.SAFEGAZE_YT_AD_BLOCKER.configure(options). Hosts can also provide
+    // initial options before injection via window.SAFEGAZE_YT_AD_CONFIG.
+    // =============================================================================
+    var DEFAULT_CONFIG = {
+      layers: {
+        networkHooks: true,           // Layer 1B/1C: fetch() and XHR player response cleaning
+        initialPlayerResponse: true,  // Layer 1A/1E: ytInitialPlayerResponse and embedded player config hooks
+        domSkipping: true,            // Layer 3: ad detection and skipping in the player
+        feedData: true,               // Layer 1D: ad items removed from feed/search/guide data
+        feedCleanup: true,            // Layer 4: sponsored content removal in feeds
+        cosmetic: true,               // Layer 3/4: injected ad hiding stylesheet
+        requestBlocking: true,        // Layer 2B: in-page blocking of requests matching urlPatterns
+        segmentSkipping: true,        // Layer 5: sponsor segment skipping (needs a segment provider)
+        antiEnforcement: true         // Anti-adblock enforcement removal (data and popup)
+      },
+      // Layer 3/4: which categories of the cosmetic rules are hidden
+      annoyances: {
+        ads: true,                           // Ad renderers, overlays and sponsored feed items
+        merch: true,                         // Merchandise and ticket shelves
+        'premium-upsells': true,             // Premium mealbars and banners, Movies & TV offers
+        surveys: true,                       // Survey cards
+        'paid-promotion-disclosures': false, // "Includes paid promotion" overlay
+        'end-screens': false,                // End-screen cards and the end-of-video grid
+        'shorts-shelves': false              // Shorts shelves in feeds and search
+      },
+      // Layer 2B: which request APIs are blocked in the page (beacon, image,
+      // script and iframe are only hooked when on at start)
+      blockedRequestTypes: {
+        fetch: true,
+        xhr: true,
+        beacon: true,
+        image: true,
+        script: true,
+        iframe: true
+      },
+      // Layer 5: what to do with each segment category ('skip', 'mute' or 'show')
+      segmentCategories: {
+        sponsor: 'skip',
+        selfpromo: 'skip',
+        interaction: 'show',
+        intro: 'show',
+        outro: 'show',
+        preview: 'show',
+        filler: 'show',
+        music_offtopic: 'show'
+      },
+      skipPlaybackRate: 16,           // Playback rate while an ad is being skipped
+      detectionMode: 'events',        // 'events': player events + polling bursts, 'polling': always poll
+      detectionInterval: 100,         // Polling interval for ad detection (ms)
+      adBurstDuration: 3000,          // Keep polling this long after the last ad signal (ms)
+      feedDebounceDelay: 100,         // Wait after last feed mutation before processing (ms)
+      removalDelay: 50,               // Delay between CSS hiding and DOM removal (ms)
+      reflowDebounceDelay: 150,       // Wait after last ad removal before grid reflow (ms)
+      resumeDelay: 50,                // Delay before resuming playback after an ad (ms)
+      logLevel: 'warn',               // Lowest level echoed to the console (all levels are buffered)
+      logBufferSize: 500              // Log entries kept for exportLogs(), 0 disables the buffer
+    };
+
+    // Allowed ranges for numeric options
+    var CONFIG_LIMITS = {
+      skipPlaybackRate: [1, 16],
+      detectionInterval: [16, 10000],
+      adBurstDuration: [0, 60000],
+      feedDebounceDelay: [0, 10000],
+      removalDelay: [0, 10000],
+      reflowDebounceDelay: [0, 10000],
+      resumeDelay: [0, 10000],
+      logBufferSize: [0, 10000]
+    };
+
+    // Allowed values for string options
+    var CONFIG_CHOICES = {
+      detectionMode: ['events', 'polling'],
+      logLevel: Object.keys(LOG_LEVELS)
+    };
+
+    var SEGMENT_ACTIONS = ['skip', 'mute', 'show'];
+
+    var config = JSON.parse(JSON.stringify(DEFAULT_CONFIG));
+
+    /**
+     * Merge options into the active configuration
+     * Unknown keys and out-of-range values are reported and ignored
+     * @param {Object} options - Partial configuration
+     * @returns {Array<string>} Names of the options that changed
+     */
+    function mergeConfig(options) {
+      var changed = [];
+      if (!options || typeof options !== 'object') return changed;
+
+      Object.keys(options).forEach(function(key) {
+        var value = options[key];
+
+        // On/off switch groups
+        if (key === 'layers' || key === 'blockedRequestTypes' || key === 'annoyances') {
+          if (!value || typeof value !== 'object') {
+            Logger.warn('config', 'Ignoring config "' + key + '": expected an object');
+            return;
+          }
+
+          Object.keys(value).forEach(function(name) {
+            if (!config[key].hasOwnProperty(name)) {
+              Logger.warn('config', 'Ignoring unknown ' + key + ' entry', { name: name });
+              return;
+            }
+
+            var enabled = value[name] !== false;
+            if (config[key][name] !== enabled) {
+              config[key][name] = enabled;
+              changed.push(key + '.' + name);
+            }
+          });
+          return;
+        }
+
+        if (key === 'segmentCategories') {
+          if (!value || typeof value !== 'object') {
+            Logger.warn('config', 'Ignoring config "segmentCategories": expected an object');
+            return;
+          }
+
+          Object.keys(value).forEach(function(category) {
+            if (SEGMENT_ACTIONS.indexOf(value[category]) === -1) {
+              Logger.warn('config', 'Ignoring segment action for "' + category + '": expected one of ' +
+                SEGMENT_ACTIONS.join(', '));
+              return;
+            }
+
+            if (config.segmentCategories[category] !== value[category]) {
+              config.segmentCategories[category] = value[category];
+              changed.push('segmentCategories.' + category);
+            }
+          });
+          return;
+        }
+
+        var choices = CONFIG_CHOICES[key];
+        if (choices) {
+          if (choices.indexOf(value) === -1) {
+            Logger.warn('config', 'Ignoring config "' + key + '": expected one of ' + choices.join(', '));
+          } else if (config[key] !== value) {
+            config[key] = value;
+            changed.push(key);
+          }
+          return;
+        }
+
+        var limits = CONFIG_LIMITS[key];
+        if (!limits) {
+          Logger.warn('config', 'Ignoring unknown config option', { name: key });
+          return;
+        }
+
+        if (typeof value !== 'number' || isNaN(value) || value < limits[0] || value > limits[1]) {
+          Logger.warn('config', 'Ignoring config "' + key + '": expected a number between ' +
+            limits[0] + ' and ' + limits[1]);
+          return;
+        }
+
+        if (config[key] !== value) {
+          config[key] = value;
+          changed.push(key);
+        }
+      });
+
+      return changed;
+    }
+
+    // A blocker that is not started only takes the options it was given
+    if (start) mergeConfig(window.SAFEGAZE_YT_AD_CONFIG);
+    mergeConfig(params.options);
+
+    // =============================================================================
+    // BLOCKING STATISTICS
+    // Counts what each layer removes, per session and cumulatively across page
+    // loads. Query via window.SAFEGAZE_YT_AD_BLOCKER.getStats().
+    // =============================================================================
+    var STATS_STORAGE_KEY = 'safegaze-yt-ad-stats';
+
+    // Assumed length of a video ad whose duration is not in the player data
+    var DEFAULT_AD_SECONDS = 15;
+
+    // Counters with a per-key breakdown, and the map that holds it
+    var STATS_BREAKDOWNS = {
+      adKeysStripped: 'adKeysByEndpoint',
+      feedItemsStripped: 'feedItemsByEndpoint',
+      requestsBlocked: 'requestsByType'
+    };
+
+    var BlockingStats = {
+      session: null,
+      total: null,
+      saveTimeout: null,
+      listeners: [],
+
+      /**
+       * Create an empty set of counters
+       * @returns {Object} Counters
+       */
+      createCounters: function() {
+        return {
+          adKeysStripped: 0,        // Layer 1: ad keys removed from player data
+          adKeysByEndpoint: {},     // Layer 1: same, per endpoint
+          feedItemsStripped: 0,     // Layer 1: ad items removed from feed/search/guide data
+          feedItemsByEndpoint: {},  // Layer 1: same, per endpoint
+          requestsBlocked: 0,       // Layer 2B: ad/tracking requests blocked in the page
+          requestsByType: {},       // Layer 2B: same, per API (fetch, xhr, beacon, ...)
+          videoAdsSkipped: 0,       // Layer 3: ads skipped in the player
+          skipButtonClicks: 0,      // Layer 3: skip buttons clicked
+          overlaysRemoved: 0,       // Layer 3: ad overlays removed
+          feedItemsHidden: 0,       // Layer 4: sponsored feed items removed
+          segmentsSkipped: 0,       // Layer 5: sponsor segments skipped
+          enforcementDetected: 0,   // Anti-adblock enforcement encountered (data or popup)
+          secondsSaved: 0,          // Estimated ad time not watched
+          since: new Date().toISOString()
+        };
+      },
+
+      /**
+       * Start a new session and restore the cumulative totals
+       */
+      load: function() {
+        this.session = this.createCounters();
+        this.total = this.createCounters();
+
+        try {
+          var stored = HostStorage.getItem(STATS_STORAGE_KEY);
+          var saved = stored ? JSON.parse(stored) : null;
+          if (saved && typeof saved === 'object') {
+            var total = this.total;
+            Object.keys(total).forEach(function(name) {
+              if (typeof total[name] === typeof saved[name] && saved[name] !== null) {
+                total[name] = saved[name];
+              }
+            });
+          }
+        } catch (e) {
+          // Storage unavailable or corrupt, start counting from zero
+          Logger.warn('stats', 'Could not read saved statistics', { error: e });
+        }
+      },
+
+      /**
+       * Add to a counter in both the session and the cumulative totals
+       * @param {string} name - Counter name
+       * @param {number} [amount=1] - Amount to add
+       * @param {string} [key] - Breakdown key (endpoint or request type), see STATS_BREAKDOWNS
+       */
+      add: function(name, amount, key) {
+        if (amount === undefined) amount = 1;
+        if (!amount) return;
+
+        var breakdown = STATS_BREAKDOWNS[name];
+
+        [this.session, this.total].forEach(function(counters) {
+          counters[name] += amount;
+
+          if (key && breakdown) {
+            counters[breakdown][key] = (counters[breakdown][key] || 0) + amount;
+          }
+        });
+
+        this.scheduleSave();
+
+        for (var i = 0; i < this.listeners.length; i++) {
+          this.listeners[i](name, amount, key);
+        }
+      },
+
+      /**
+       * Persist the cumulative totals, batched to avoid a write per ad
+       */
+      scheduleSave: function() {
+        var self = this;
+        if (this.saveTimeout) return;
+
+        this.saveTimeout = setTimeout(function() {
+          self.save();
+        }, 1000);
+      },
+
+      /**
+       * Persist the cumulative totals now
+       */
+      save: function() {
+        if (this.saveTimeout) {
+          clearTimeout(this.saveTimeout);
+          this.saveTimeout = null;
+        }
+
+        try {
+          HostStorage.setItem(STATS_STORAGE_KEY, JSON.stringify(this.total));
+        } catch (e) {
+          // Storage unavailable, totals only last for this page
+          Logger.debug('stats', 'Could not save statistics', { error: e });
+        }
+      },
+
+      /**
+       * Reset counters
+       * @param {string} [scope] - 'session' or 'total', both when omitted
+       */
+      reset: function(scope) {
+        if (scope !== 'total') {
+          this.session = this.createCounters();
+        }
+
+        if (scope !== 'session') {
+          this.total = this.createCounters();
+          this.scheduleSave();
+        }
+      }
+    };
+
+    BlockingStats.load();
+
+    // A save still pending when destroyed is written now: later, it would
+    // overwrite the totals a reloaded script has counted into since
+    onTeardown('statistics save', function() {
+      if (BlockingStats.saveTimeout) BlockingStats.save();
+    });
+
+    /**
+     * Estimate the total length of the video ads in a player response
+     * Prefers adPlacements and falls back to adSlots (both can describe the same ads)
+     * @param {Object} data - Player response object
+     * @returns {number} Estimated seconds of ads
+     */
+    function estimateAdSeconds(data) {
+      var source = data.adPlacements || data.adSlots;
+      var seconds = 0;
+      var visited = 0;
+
+      function walk(node) {
+        // Bounded walk, ad subtrees are small
+        if (!node || typeof node !== 'object' || ++visited > 5000) return;
+
+        var renderer = node.instreamVideoAdRenderer;
+        if (renderer && typeof renderer === 'object') {
+          var match = typeof renderer.playerVars === 'string' &&
+            renderer.playerVars.match(/(?:^|&)length_seconds=(\d+)/);
+          seconds += match ? parseInt(match[1], 10) : DEFAULT_AD_SECONDS;
+          return;
+        }
+
+        var keys = Object.keys(node);
+        for (var i = 0; i < keys.length; i++) {
+          walk(node[keys[i]]);
+        }
+      }
+
+      walk(source);
+      return seconds;
+    }
+
+    // Ad time of player responses whose video has not played yet, by video ID:
+    // hover previews and prefetched videos come through /player too, only the
+    // video that plays counts into secondsSaved
+    var AdTimeEstimates = {
+      pending: [],   // [{videoId, seconds}], oldest first
+      limit: 20,
+
+      /**
+       * Keep the ad time of a player response until its video plays
+       * @param {string} videoId - Video of the response
+       * @param {number} seconds - Estimated ad time stripped from it
+       */
+      remember: function(videoId, seconds) {
+        this.forget(videoId);
+        this.pending.push({ videoId: videoId, seconds: seconds });
+        if (this.pending.length > this.limit) this.pending.shift();
+      },
+
+      /**
+       * Count the ad time of a video that is playing, once
+       * @param {string|null} videoId - Video being played
+       */
+      credit: function(videoId) {
+        var entry = this.forget(videoId);
+        if (entry) BlockingStats.add('secondsSaved', entry.seconds);
+      },
+
+      /**
+       * @param {string|null} videoId - Video ID
+       * @returns {Object|null} The entry removed
+       */
+      forget: function(videoId) {
+        for (var i = 0; i < this.pending.length; i++) {
+          if (this.pending[i].videoId === videoId) return this.pending.splice(i, 1)[0];
+        }
+        return null;
+      }
+    };
+
+    // =============================================================================
+    // NATIVE HOST BRIDGE
+    // Versioned, JSON-serializable message protocol between the script and its host.
+    //
+    // Outbound (page -> host), first available transport wins:
+    // - iOS WKWebView: window.webkit.messageHandlers.safegazeYTAdBlocker.postMessage(message)
+    // - Android WebView: @JavascriptInterface window.SafeGazeYTAdBlockerHost.postMessage(json)
+    // - Extension content script: chrome.runtime.sendMessage(message)
+    // - Extension MAIN world: window.postMessage(message), relayed by the content script
+    //
+    // Inbound (host -> page): window.SAFEGAZE_YT_AD_BLOCKER.receive(message) via
+    // evaluateJavascript, window.postMessage(message) or chrome.runtime messages.
+    //
+    // Page scripts can post and call receive() too, so commands that change
+    // anything need proof they come from the host: chrome.runtime messages carry
+    // it by construction, other messages carry the per-session secret the host
+    // handed over before injection (window.SAFEGAZE_YT_AD_BRIDGE_SECRET, read and
+    // removed at startup) as message.secret. Prefer receive() for those:
+    // window.postMessage is visible to every listener in the page.
+    // Read-only commands (ping, get-*, compile-patterns, subscribe, unsubscribe)
+    // need neither; destroy and reload are only accepted through chrome.runtime.
+    //
+    // Message: {protocol, version, id, source, type, payload, timestamp, replyTo?}
+    // Events sent: ready, ad-blocked, enforcement-detected, segments-request, error,
+    //   stats, event (subscribed ACTIVITY EVENTS), reloaded, response
+    // Commands handled: ping, configure, set-enabled, update-rules, reset-rules,
+    //   get-stats, reset-stats, compile-patterns, allowlist-add, allowlist-remove,
+    //   get-allowlist, get-route, set-segment-provider, provide-segments, get-logs,
+    //   clear-logs, subscribe, unsubscribe, destroy, reload
+    // =============================================================================
+    var BRIDGE_PROTOCOL = 'safegaze-yt-ad-blocker';
+    var BRIDGE_VERSION = 1;
+    var IOS_MESSAGE_HANDLER = 'safegazeYTAdBlocker';
+    var ANDROID_INTERFACE = 'SafeGazeYTAdBlockerHost';
+
+    // Who may run a command: anyone, the host (secret or chrome.runtime) or only chrome.runtime
+    var COMMAND_ACCESS = ['public', 'host', 'runtime'];
+
+    var NativeBridge = {
+      transport: null,
+      commands: {},
+      nextId: 1,
+      isListening: false,
+      secret: params.bridgeSecret || (start && window.SAFEGAZE_YT_AD_BRIDGE_SECRET) || null,
+
+      /**
+       * Find the host transport for this environment
+       * @returns {{name: string, post: Function}} Transport
+       */
+      detectTransport: function() {
+        var webkit = window.webkit;
+        if (webkit && webkit.messageHandlers && webkit.messageHandlers[IOS_MESSAGE_HANDLER]) {
+          return {
+            name: 'webkit',
+            post: function(message) {
+              webkit.messageHandlers[IOS_MESSAGE_HANDLER].postMessage(message);
+            }
+          };
+        }
+
+        var android = window[ANDROID_INTERFACE];
+        if (android && typeof android.postMessage === 'function') {
+          return {
+            name: 'android',
+            post: function(message) {
+              // @JavascriptInterface methods only accept primitives
+              android.postMessage(JSON.stringify(message));
+            }
+          };
+        }
+
+        var chromeRuntime = window.chrome && window.chrome.runtime;
+        if (chromeRuntime && chromeRuntime.id && typeof chromeRuntime.sendMessage === 'function') {
+          return {
+            name: 'chrome-runtime',
+            post: function(message) {
+              chromeRuntime.sendMessage(message);
+            }
+          };
+        }
+
+        return {
+          name: 'post-message',
+          post: function(message) {
+            window.postMessage(message, window.location.origin);
+          }
+        };
+      },
+
+      /**
+       * Build a protocol message
+       * @param {string} type - Message type
+       * @param {Object} [payload] - JSON-serializable payload
+       * @returns {Object} Message
+       */
+      createMessage: function(type, payload) {
+        return {
+          protocol: BRIDGE_PROTOCOL,
+          version: BRIDGE_VERSION,
+          id: 'page-' + (this.nextId++),
+          source: 'page',
+          type: type,
+          payload: payload || {},
+          timestamp: Date.now()
+        };
+      },
+
+      /**
+       * Send a message to the host, failures never reach the caller
+       * @param {string} type - Message type
+       * @param {Object} [payload] - JSON-serializable payload
+       * @returns {Object} The message that was sent
+       */
+      send: function(type, payload) {
+        var message = this.createMessage(type, payload);
+
+        try {
+          if (!this.transport) {
+            this.transport = this.detectTransport();
+          }
+          this.transport.post(message);
+        } catch (e) {
+          // Host went away (e.g. extension reloaded), nothing to report to
+          Logger.debug('bridge', 'Could not send ' + type, { error: e });
+        }
+
+        return message;
+      },
+
+      /**
+       * Register the handler for an inbound command
+       * @param {string} type - Command type
+       * @param {Function} handler - Called with the payload, returns the result
+       * @param {string} [access='host'] - 'public', 'host' or 'runtime', see COMMAND_ACCESS
+       */
+      registerCommand: function(type, handler, access) {
+        access = access || 'host';
+        if (COMMAND_ACCESS.indexOf(access) === -1) {
+          throw new Error('Unknown command access "' + access + '"');
+        }
+        this.commands[type] = { handler: handler, access: access };
+      },
+
+      /**
+       * Check that a message may run a command
+       * @param {Object} message - Inbound message
+       * @param {string} access - Access level of the command
+       * @param {boolean} fromRuntime - True if it came through chrome.runtime
+       * @returns {string|null} Why it may not, null if it may
+       */
+      checkAccess: function(message, access, fromRuntime) {
+        if (access === 'public' || fromRuntime) return null;
+        if (access === 'runtime') return 'command ' + message.type + ' is only accepted through chrome.runtime';
+        if (!this.secret || message.secret !== this.secret) {
+          return 'command ' + message.type + ' needs the session secret';
+        }
+        return null;
+      },
+
+      /**
+       * Handle a message from the host and send back a response
+       * @param {Object|string} raw - Message object or its JSON string
+       * @param {boolean} [fromRuntime] - True for chrome.runtime messages (sent by the extension)
+       * @returns {Object|null} The response message, null if not addressed to us
+       */
+      receive: function(raw, fromRuntime) {
+        var message = raw;
+
+        if (typeof raw === 'string') {
+          try {
+            message = JSON.parse(raw);
+          } catch (e) {
+            Logger.debug('bridge', 'Ignoring message that is not JSON', { error: e });
+            return null;
+          }
+        }
+
+        if (!message || message.protocol !== BRIDGE_PROTOCOL || message.source === 'page') {
+          return null;
+        }
+
+        var response = { ok: false };
+        var command = this.commands.hasOwnProperty(message.type) ? this.commands[message.type] : null;
+        var denied = command ? this.checkAccess(message, command.access, fromRuntime === true) : null;
+
+        if (message.version !== BRIDGE_VERSION) {
+          response.error = 'unsupported protocol version: ' + message.version;
+        } else if (!command) {
+          response.error = 'unknown command: ' + message.type;
+        } else if (denied) {
+          response.error = denied;
+        } else {
+          try {
+            response.ok = true;
+            response.result = command.handler(message.payload || {});
+          } catch (e) {
+            response.ok = false;
+            response.error = e && e.message ? e.message : String(e);
+            Logger.error('bridge', 'Command ' + message.type + ' failed', { error: e });
+          }
+        }
+
+        if (!response.ok) {
+          Logger.warn('bridge', 'Rejected command ' + message.type, { reason: response.error });
+        }
+
+        var reply = this.createMessage('response', response);
+        reply.replyTo = message.id;
+
+        try {
+          if (!this.transport) {
+            this.transport = this.detectTransport();
+          }
+          this.transport.post(reply);
+        } catch (e) {
+          // Host went away, the caller still gets the return value
+          Logger.debug('bridge', 'Could not send response to ' + message.type, { error: e });
+        }
+
+        return reply;
+      },
+
+      /**
+       * Start accepting commands from window.postMessage and chrome.runtime
+       */
+      listen: function() {
+        var self = this;
+        if (this.isListening) return;
+        this.isListening = true;
+
+        listen(window, 'message', function(event) {
+          if (event.source === window && event.data && event.data.protocol === BRIDGE_PROTOCOL) {
+            self.receive(event.data);
+          }
+        });
+
+        var chromeRuntime = window.chrome && window.chrome.runtime;
+        if (chromeRuntime && chromeRuntime.id && chromeRuntime.onMessage) {
+          var onRuntimeMessage = function(message) {
+            self.receive(message, true);
+          };
+          chromeRuntime.onMessage.addListener(onRuntimeMessage);
+          onTeardown('chrome.runtime.onMessage listener', function() {
+            chromeRuntime.onMessage.removeListener(onRuntimeMessage);
+          });
+        }
+
+        // Report ad blocking activity to the host as it happens
+        BlockingStats.listeners.push(function(name, amount, key) {
+          if (name === 'secondsSaved') return;
+          self.send('ad-blocked', { counter: name, amount: amount, detail: key || null });
+        });
+
+        // Flush stats when the page is hidden (tab switch, app backgrounded)
+        listen(document, 'visibilitychange', function() {
+          if (document.visibilityState === 'hidden') {
+            self.send('stats', getStats());
+          }
+        });
+      }
+    };
+
+    // Keep the session secret out of reach of page scripts
+    if (start && window.SAFEGAZE_YT_AD_BRIDGE_SECRET) {
+      delete window.SAFEGAZE_YT_AD_BRIDGE_SECRET;
+    }
+
+    // The loader hands a link to itself to the script it runs (see reload()),
+    // just as out of reach of page scripts
+    var loaderLink = params.loaderLink || (start && window.SAFEGAZE_YT_AD_LOADER_LINK) || null;
+    if (start && window.SAFEGAZE_YT_AD_LOADER_LINK) {
+      delete window.SAFEGAZE_YT_AD_LOADER_LINK;
+    }
+
+    // =============================================================================
+    // ACTIVITY EVENTS
+    // What the blocker does is published as CustomEvents on the document, for
+    // other page features and QA scripts:
+    //   document.addEventListener('safegaze:ad-skipped', function(e) { e.detail... })
+    // or window.SAFEGAZE_YT_AD_BLOCKER.on('ad-skipped', function(detail) {...}).
+    // Hosts subscribe with the 'subscribe' bridge command and get 'event' messages.
+    //
+    // Every detail has {type, layer, timestamp} (layer is a log category, see
+    // DIAGNOSTIC LOGGING) and, where known, rule, videoId, elementType, durationMs:
+    //   ad-start           A video ad was detected in the player (+ trigger)
+    //   ad-skipped         A video ad or Shorts ad reel was skipped
+    //   feed-ad-removed    A feed ad or promo element was hidden or removed
+    //   response-cleaned   Ads were stripped from player, feed or Shorts data
+    //                      (+ endpoint, rules, removed)
+    //   request-blocked    An ad request was blocked in the page (+ requestType, url)
+    //   error              A layer failed (+ context, message)
+    // =============================================================================
+    var EVENT_PREFIX = 'safegaze:';
+    var EVENT_TYPES = ['ad-start', 'ad-skipped', 'feed-ad-removed', 'response-cleaned', 'request-blocked', 'error'];
+
+    /**
+     * @returns {number} Milliseconds with sub-millisecond precision where available
+     */
+    function now() {
+      return window.performance && window.performance.now ? window.performance.now() : Date.now();
+    }
+
+    var ActivityEvents = {
+      subscriptions: [],  // {type, listener, handler} registered through on()
+      hostListeners: {},  // Event type -> listener forwarding to the native host
+
+      /**
+       * Publish an event, listeners can never break the layer that emits it
+       * @param {string} type - One of EVENT_TYPES
+       * @param {Object} detail - JSON-serializable details
+       */
+      emit: function(type, detail) {
+        detail.type = type;
+        detail.timestamp = Date.now();
+        if (detail.durationMs !== undefined) {
+          detail.durationMs = Math.round(detail.durationMs * 100) / 100;
+        }
+
+        try {
+          document.dispatchEvent(new CustomEvent(EVENT_PREFIX + type, { detail: detail }));
+        } catch (e) {
+          Logger.debug('events', 'Could not dispatch ' + type, { error: e });
+        }
+      },
+
+      /**
+       * Subscribe to an event type, or to all of them with '*'
+       * @param {string} type - One of EVENT_TYPES or '*'
+       * @param {Function} listener - Called with the event detail
+       * @returns {Function} Unsubscribes the listener
+       */
+      on: function(type, listener) {
+        var self = this;
+        var types = type === '*' ? EVENT_TYPES : [type];
+
+        if (EVENT_TYPES.indexOf(type) === -1 && type !== '*') {
+          throw new Error('[SafeGaze] Unknown event type: ' + type);
+        }
+        if (typeof listener !== 'function') {
+          throw new Error('[SafeGaze] Event listener must be a function');
+        }
+
+        types.forEach(function(name) {
+          var handler = function(event) {
+            try {
+              listener(event.detail);
+            } catch (e) {
+              Logger.warn('events', 'Listener for ' + name + ' failed', { error: e });
+            }
+          };
+          self.subscriptions.push({ type: name, listener: listener, handler: handler });
+          document.addEventListener(EVENT_PREFIX + name, handler);
+        });
+
+        return function() {
+          return self.off(type, listener);
+        };
+      },
+
+      /**
+       * Remove a listener added with on()
+       * @param {string} type - Type it was added for, '*' removes it from all types
+       * @param {Function} listener - The listener
+       * @returns {boolean} True if the listener was subscribed
+       */
+      off: function(type, listener) {
+        var found = false;
+
+        this.subscriptions = this.subscriptions.filter(function(subscription) {
+          if (subscription.listener !== listener || (type !== '*' && subscription.type !== type)) {
+            return true;
+          }
+          document.removeEventListener(EVENT_PREFIX + subscription.type, subscription.handler);
+          found = true;
+          return false;
+        });
+
+        return found;
+      },
+
+      /**
+       * Remove every listener added with on(), used by destroy()
+       */
+      removeAll: function() {
+        this.subscriptions.forEach(function(subscription) {
+          document.removeEventListener(EVENT_PREFIX + subscription.type, subscription.handler);
+        });
+        this.subscriptions = [];
+        this.hostListeners = {};
+      },
+
+      /**
+       * Forward an event type (or '*') to the native host as 'event' messages
+       * @param {string} type - One of EVENT_TYPES or '*'
+       * @returns {Array<string>} Event types forwarded to the host
+       */
+      subscribeHost: function(type) {
+        var self = this;
+        var types = type === '*' ? EVENT_TYPES : [type];
+
+        types.forEach(function(name) {
+          if (self.hostListeners[name]) return;
+
+          var forward = function(detail) {
+            NativeBridge.send('event', detail);
+          };
+          self.on(name, forward);
+          self.hostListeners[name] = forward;
+        });
+
+        return Object.keys(this.hostListeners);
+      },
+
+      /**
+       * Stop forwarding an event type (or '*') to the native host
+       * @param {string} type - One of EVENT_TYPES or '*'
+       * @returns {Array<string>} Event types still forwarded to the host
+       */
+      unsubscribeHost: function(type) {
+        var self = this;
+        var types = type === '*' ? EVENT_TYPES : [type];
+
+        types.forEach(function(name) {
+          if (!self.hostListeners[name]) return;
+
+          self.off(name, self.hostListeners[name]);
+          delete self.hostListeners[name];
+        });
+
+        return Object.keys(this.hostListeners);
+      }
+    };
+
+    /**
+     * Report an error to the log, the host and error event listeners
+     * @param {string} category - Log category, see DIAGNOSTIC LOGGING
+     * @param {string} context - What was being done
+     * @param {*} error - The error
+     */
+    function reportError(category, context, error) {
+      var message = error && error.message ? error.message : String(error);
+
+      Logger.error(category, context, { error: error });
+      NativeBridge.send('error', {
+        context: context,
+        message: message
+      });
+      ActivityEvents.emit('error', { layer: category, context: context, message: message });
+    }
+
+    NativeBridge.registerCommand('ping', function() {
+      return { version: BRIDGE_VERSION, rulesVersion: activeRules.version };
+    }, 'public');
+
+    NativeBridge.registerCommand('configure', function(payload) {
+      return configure(payload.options);
+    });
+
+    // Switch one layer, or all of them when no layer is given
+    NativeBridge.registerCommand('set-enabled', function(payload) {
+      var layers = {};
+      var names = payload.layer ? [payload.layer] : Object.keys(config.layers);
+
+      names.forEach(function(name) {
+        layers[name] = payload.enabled !== false;
+      });
+
+      return configure({ layers: layers }).layers;
+    });
+
+    NativeBridge.registerCommand('update-rules', function(payload) {
+      return updateRules(payload.rules);
+    });
+
+    NativeBridge.registerCommand('reset-rules', function() {
+      resetRules();
+      return { version: activeRules.version };
+    });
+
+    NativeBridge.registerCommand('get-stats', function() {
+      return getStats();
+    }, 'public');
+
+    NativeBridge.registerCommand('reset-stats', function(payload) {
+      BlockingStats.reset(payload.scope);
+      return getStats();
+    });
+
+    NativeBridge.registerCommand('get-logs', function() {
+      return Logger.snapshot();
+    }, 'public');
+
+    // Forward ACTIVITY EVENTS of a type ('*' for all) as 'event' messages
+    NativeBridge.registerCommand('subscribe', function(payload) {
+      return ActivityEvents.subscribeHost(payload.type || '*');
+    }, 'public');
+
+    NativeBridge.registerCommand('unsubscribe', function(payload) {
+      return ActivityEvents.unsubscribeHost(payload.type || '*');
+    }, 'public');
+
+    NativeBridge.registerCommand('clear-logs', function() {
+      Logger.clear();
+      return true;
+    });
+
+    // =============================================================================
+    // CHANNEL ALLOWLIST
+    // Lets ads run for creators the user wants to support. Entries are channel IDs
+    // (UC...) or handles (@name). Layer 1 leaves allowlisted player responses
+    // untouched, Layer 3 does not skip their ads and Layer 4 keeps their feed items.
+    // The channel of each video is learned from its player response, so the
+    // decision follows SPA navigations without waiting for the watch page DOM.
+    // =============================================================================
+    var ALLOWLIST_STORAGE_KEY = 'safegaze-yt-ad-allowlist';
+
+    // Marks elements (player, feed items) whose ads must stay visible
+    var ALLOWED_ATTRIBUTE = 'data-sg-channel-allowed';
+
+    var ChannelAllowlist = {
+      entries: [],
+      videoChannels: {},
+
+      /**
+       * Restore the allowlist saved by a previous page
+       */
+      load: function() {
+        try {
+          var stored = HostStorage.getItem(ALLOWLIST_STORAGE_KEY);
+          var saved = stored ? JSON.parse(stored) : [];
+          this.entries = Array.isArray(saved) ? saved.map(this.normalize).filter(Boolean) : [];
+        } catch (e) {
+          Logger.warn('allowlist', 'Could not read saved allowlist', { error: e });
+          this.entries = [];
+        }
+      },
+
+      save: function() {
+        try {
+          HostStorage.setItem(ALLOWLIST_STORAGE_KEY, JSON.stringify(this.entries));
+        } catch (e) {
+          // Storage unavailable, allowlist only lasts for this page
+          Logger.warn('allowlist', 'Could not save allowlist', { error: e });
+        }
+      },
+
+      /**
+       * Turn user input into a canonical entry
+       * Accepts 'UC...' IDs, '@handle', 'handle' and channel URLs
+       * @param {string} value - Channel ID, handle or URL
+       * @returns {string|null} 'UC...' or '@handle' (lowercase), null if invalid
+       */
+      normalize: function(value) {
+        if (typeof value !== 'string') return null;
+        value = value.trim();
+
+        var idMatch = value.match(/(?:^|\/channel\/)(UC[\w-]{22})(?:[/?#]|$)/);
+        if (idMatch) return idMatch[1];
+
+        var handleMatch = value.match(/(?:^|\/)@([^/?#\s]{3,100})/) || value.match(/^([\w.-]{3,100})$/);
+        if (!handleMatch) return null;
+
+        try {
+          return '@' + decodeURIComponent(handleMatch[1]).toLowerCase();
+        } catch (e) {
+          return null;
+        }
+      },
+
+      /**
+       * @param {string} value - Channel ID, handle or URL
+       * @returns {boolean} True if added
+       */
+      add: function(value) {
+        var entry = this.normalize(value);
+        if (!entry) {
+          Logger.warn('allowlist', 'Ignoring invalid allowlist entry', { value: value });
+          return false;
+        }
+
+        if (this.entries.indexOf(entry) === -1) {
+          this.entries.push(entry);
+          this.save();
+        }
+        return true;
+      },
+
+      /**
+       * @param {string} value - Channel ID, handle or URL
+       * @returns {boolean} True if it was on the list
+       */
+      remove: function(value) {
+        var index = this.entries.indexOf(this.normalize(value));
+        if (index === -1) return false;
+
+        this.entries.splice(index, 1);
+        this.save();
+        return true;
+      },
+
+      /**
+       * @param {{channelId: (string|null), handle: (string|null)}} channel - Channel
+       * @returns {boolean} True if either the ID or the handle is allowlisted
+       */
+      isAllowed: function(channel) {
+        if (!channel || this.entries.length === 0) return false;
+
+        return (!!channel.channelId && this.entries.indexOf(channel.channelId) !== -1) ||
+          (!!channel.handle && this.entries.indexOf(this.normalize(channel.handle)) !== -1);
+      },
+
+      /**
+       * Read and remember the channel of a player response
+       * @param {Object} data - Player response
+       * @returns {{channelId: (string|null), handle: (string|null)}|null} Channel
+       */
+      rememberVideo: function(data) {
+        var details = data && data.videoDetails;
+        if (!details || !details.channelId) return null;
+
+        var microformat = data.microformat && data.microformat.playerMicroformatRenderer;
+        var profileUrl = microformat && microformat.ownerProfileUrl;
+        var channel = {
+          channelId: details.channelId,
+          handle: typeof profileUrl === 'string' ? this.normalize(profileUrl) : null
+        };
+
+        if (details.videoId) {
+          this.videoChannels[details.videoId] = channel;
+        }
+
+        return channel;
+      },
+
+      /**
+       * Read the channel from owner links inside an element
+       * @param {Element} element - Feed item or watch page owner section
+       * @returns {{channelId: (string|null), handle: (string|null)}|null} Channel
+       */
+      findChannelInElement: function(element) {
+        if (!element || !element.querySelector) return null;
+
+        var link = element.querySelector('a[href^="/@"], a[href^="/channel/UC"]');
+        if (!link) return null;
+
+        var entry = this.normalize(link.getAttribute('href'));
+        if (!entry) return null;
+
+        return entry.charAt(0) === '@' ?
+          { channelId: null, handle: entry } :
+          { channelId: entry, handle: null };
+      },
+
+      /**
+       * Find the owning channel of a feed item in its JSON data
+       * Looks for the first channel browse endpoint or canonical URL
+       * @param {Object} item - Feed item data
+       * @returns {{channelId: (string|null), handle: (string|null)}|null} Channel
+       */
+      findChannelInData: function(item) {
+        if (this.entries.length === 0) return null;
+
+        var visited = 0;
+        var self = this;
+
+        function walk(node) {
+          // Bounded walk, feed items are small
+          if (!node || typeof node !== 'object' || ++visited > 2000) return null;
+
+          var endpoint = node.browseEndpoint;
+          if (endpoint && typeof endpoint.browseId === 'string' && endpoint.browseId.indexOf('UC') === 0) {
+            return {
+              channelId: endpoint.browseId,
+              handle: typeof endpoint.canonicalBaseUrl === 'string' ? self.normalize(endpoint.canonicalBaseUrl) : null
+            };
+          }
+
+          var keys = Object.keys(node);
+          for (var i = 0; i < keys.length; i++) {
+            var found = walk(node[keys[i]]);
+            if (found) return found;
+          }
+          return null;
+        }
+
+        return walk(item);
+      },
+
+      /**
+       * Whether the video on the current watch page belongs to an allowlisted channel
+       * @returns {boolean} True if its ads should play
+       */
+      isCurrentVideoAllowed: function() {
+        if (this.entries.length === 0) return false;
+
+        var videoId = getCurrentVideoId();
+        var channel = videoId && this.videoChannels[videoId];
+
+        // Player response not seen (e.g. hook disabled), fall back to the owner link
+        if (!channel) {
+          channel = this.findChannelInElement(document.querySelector('ytd-watch-metadata #owner, #owner'));
+        }
+
+        return this.isAllowed(channel);
+      }
+    };
+
+    ChannelAllowlist.load();
+
+    /**
+     * Layer 1 entry point for player responses: honors the allowlist, then strips ads
+     * @param {Object} data - Player response
+     * @param {string} endpoint - Where the data came from, for statistics
+     * @returns {Object} The (possibly) cleaned player response
+     */
+    function cleanPlayerResponse(data, endpoint) {
+      // Enforcement is not an ad, strip it even for allowlisted channels
+      if (config.layers.antiEnforcement) {
+        stripEnforcement(data, endpoint);
+      }
+
+      if (ChannelAllowlist.isAllowed(ChannelAllowlist.rememberVideo(data))) {
+        return data;
+      }
+
+      return removeAdData(data, endpoint);
+    }
+
+    /**
+     * Layer 1 entry point for feed, search and guide data: strips ad items
+     * except those of allowlisted channels
+     * @param {Object} data - ytInitialData or a browse/search/guide response
+     * @param {string} endpoint - Where the data came from, for statistics
+     * @returns {Object} The cleaned data
+     */
+    function cleanFeedResponse(data, endpoint) {
+      return removeFeedAds(data, endpoint, function(item) {
+        return ChannelAllowlist.isAllowed(ChannelAllowlist.findChannelInData(item));
+      });
+    }
+
+    /**
+     * Layer 1 entry point for the Shorts sequence: strips ad reels
+     * except those of allowlisted channels
+     * @param {Object} data - reel_watch_sequence response
+     * @param {string} endpoint - Where the data came from, for statistics
+     * @returns {Object} The cleaned data
+     */
+    function cleanReelResponse(data, endpoint) {
+      return removeReelAds(data, endpoint, function(entry) {
+        return ChannelAllowlist.isAllowed(ChannelAllowlist.findChannelInData(entry));
+      });
+    }
+
+    /**
+     * Layer 1 entry point for a single Short: its player response sits one level down
+     * @param {Object} data - reel_item_watch response
+     * @param {string} endpoint - Where the data came from, for statistics
+     * @returns {Object} The cleaned data
+     */
+    function cleanReelItemResponse(data, endpoint) {
+      if (data && data.playerResponse) {
+        cleanPlayerResponse(data.playerResponse, endpoint);
+      }
+      return data;
+    }
+
+    // =============================================================================
+    // LAYER 2: BLOCKED URL PATTERNS
+    // These patterns can be used by mobile apps for network-level blocking
+    // Access via: window.SAFEGAZE_BLOCKED_AD_PATTERNS
+    //
+    // The patterns use Chrome match-pattern syntax, extended with wildcards in the
+    // query string. compileBlockedPatterns(target) turns them into:
+    // - 'dnr':     Chrome declarativeNetRequest rules
+    // - 'safari':  Safari / WKContentRuleList content-blocker JSON
+    // - 'android': regular expressions for WebView shouldInterceptRequest
+    // matchesBlockedPattern(url) is the reference implementation all three must agree with.
+    // =============================================================================
+
+    // Expose blocked patterns for mobile apps
+    if (start) window.SAFEGAZE_BLOCKED_AD_PATTERNS = activeRules.urlPatterns;
+
+    var PATTERN_TARGETS = ['match-pattern', 'dnr', 'safari', 'android'];
+
+    // declarativeNetRequest limit for regexFilter rules per extension
+    var DNR_MAX_REGEX_RULES = 1000;
+
+    /**
+     * Split a match pattern into its parts
+     * @param {string} pattern - e.g. '*://*.doubleclick.net/*'
+     * @returns {Object} {pattern, scheme, host, subdomains, path, hasQuery} or {pattern, error}
+     */
+    function parseMatchPattern(pattern) {
+      var match = typeof pattern === 'string' && pattern.match(/^(\*|https?):\/\/([^/]+)(\/.*)$/);
+      if (!match) {
+        return { pattern: pattern, error: 'expected <scheme>://<host>/<path> with scheme *, http or https' };
+      }
+
+      var host = match[2];
+      var subdomains = host.indexOf('*.') === 0;
+      if (subdomains) host = host.slice(2);
+
+      if (!host || host.indexOf('*') !== -1) {
+        return { pattern: pattern, error: 'wildcards are only allowed as a leading "*." in the host' };
+      }
+
+      return {
+        pattern: pattern,
+        scheme: match[1],
+        host: host.toLowerCase(),
+        subdomains: subdomains,
+        path: match[3],
+        hasQuery: /[?&=]/.test(match[3])
+      };
+    }
+
+    /**
+     * Escape regex metacharacters, '*' becomes '.*'
+     * @param {string} text - Literal text with '*' wildcards
+     * @returns {string} Regex source
+     */
+    function wildcardToRegex(text) {
+      return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    }
+
+    /**
+     * Build the regex for a parsed pattern
+     * Uses only syntax shared by JS, Java and WebKit content blockers
+     * (no alternation, no non-capturing groups, no escapes like \d)
+     * @param {Object} parsed - Result of parseMatchPattern()
+     * @returns {string} Regex source, anchored at the start
+     */
+    function matchPatternToRegex(parsed) {
+      var scheme = parsed.scheme === '*' ? 'https?' : parsed.scheme;
+      var host = (parsed.subdomains ? '([^/]+\\.)?' : '') + wildcardToRegex(parsed.host);
+      var path = wildcardToRegex(parsed.path);
+
+      // Match patterns cover the whole URL, a trailing '*' leaves the end open
+      if (parsed.path.charAt(parsed.path.length - 1) === '*') {
+        path = path.slice(0, -2);
+      } else {
+        path += '$';
+      }
+
+      return '^' + scheme + '://' + host + '(:[0-9]+)?' + path;
+    }
+
+    /**
+     * Check which patterns a target cannot express
+     * @param {string} target - 'match-pattern', 'dnr', 'safari' or 'android'
+     * @param {Array<string>} [patterns] - Defaults to the active urlPatterns
+     * @returns {Array<{pattern: string, level: string, message: string}>} Issues;
+     *   'error' patterns are left out of the compiled output
+     */
+    function validateBlockedPatterns(target, patterns) {
+      if (PATTERN_TARGETS.indexOf(target) === -1) {
+        throw new Error('Unknown pattern target "' + target + '", expected one of ' + PATTERN_TARGETS.join(', '));
+      }
+
+      var issues = [];
+      var regexRules = 0;
+
+      (patterns || activeRules.urlPatterns).forEach(function(pattern) {
+        var parsed = parseMatchPattern(pattern);
+
+        function issue(level, message) {
+          issues.push({ pattern: pattern, level: level, message: message });
+        }
+
+        if (parsed.error) {
+          issue('error', parsed.error);
+          return;
+        }
+
+        if (target === 'match-pattern' && parsed.hasQuery) {
+          issue('error', 'query-string wildcards are not valid in Chrome match patterns ' +
+            '(webRequest filters, host permissions); use the dnr output instead');
+        }
+
+        if (target === 'safari' && /[^\x20-\x7e]/.test(pattern)) {
+          issue('error', 'content-blocker url-filter only accepts ASCII');
+        }
+
+        if (target === 'dnr' && !parsed.subdomains) {
+          regexRules++;
+          if (regexRules === DNR_MAX_REGEX_RULES + 1) {
+            issue('warning', 'more than ' + DNR_MAX_REGEX_RULES + ' exact-host patterns, ' +
+              'regexFilter rules past the limit are rejected by Chrome');
+          }
+        }
+      });
+
+      return issues;
+    }
+
+    /**
+     * Compile the URL patterns for a blocking platform
+     * @param {string} target - 'dnr', 'safari' or 'android'
+     * @param {Array<string>} [patterns] - Defaults to the active urlPatterns
+     * @returns {{target: string, rulesVersion: string, rules: Array, issues: Array}} Compiled
+     *   rules plus the validation issues for the target
+     */
+    function compileBlockedPatterns(target, patterns) {
+      if (target === 'match-pattern') {
+        throw new Error('"match-pattern" can only be validated, the patterns already use that syntax');
+      }
+
+      patterns = patterns || activeRules.urlPatterns;
+
+      var issues = validateBlockedPatterns(target, patterns);
+      var rejected = issues.filter(function(issue) {
+        return issue.level === 'error';
+      }).map(function(issue) {
+        return issue.pattern;
+      });
+
+      var rules = [];
+
+      patterns.forEach(function(pattern) {
+        if (rejected.indexOf(pattern) !== -1) return;
+
+        var parsed = parseMatchPattern(pattern);
+        var regex = matchPatternToRegex(parsed);
+
+        if (target === 'dnr') {
+          var condition = {};
+
+          // '||' covers the domain and its subdomains, cheaper than a regex rule
+          if (parsed.subdomains && parsed.scheme === '*') {
+            condition.urlFilter = '||' + parsed.host + parsed.path;
+            // Like the regex, only a trailing '*' leaves the end of the URL open
+            if (parsed.path.charAt(parsed.path.length - 1) !== '*') {
+              condition.urlFilter += '|';
+            }
+          } else {
+            condition.regexFilter = regex;
+          }
+          condition.isUrlFilterCaseSensitive = false;
+
+          rules.push({ id: rules.length + 1, priority: 1, action: { type: 'block' }, condition: condition });
+        } else if (target === 'safari') {
+          rules.push({
+            trigger: { 'url-filter': regex, 'url-filter-is-case-sensitive': false },
+            action: { type: 'block' }
+          });
+        } else {
+          // Java Pattern syntax, compile with Pattern.CASE_INSENSITIVE
+          rules.push(regex);
+        }
+      });
+
+      return { target: target, rulesVersion: activeRules.version, rules: rules, issues: issues };
+    }
+
+    var blockedPatternCache = { patterns: null, compiled: [] };
+
+    /**
+     * Find the blocked pattern a URL matches
+     * @param {string} url - Absolute URL
+     * @param {Array<string>} [patterns] - Defaults to the active urlPatterns
+     * @returns {string|null} The first matching pattern, null if none
+     */
+    function findBlockedPattern(url, patterns) {
+      patterns = patterns || activeRules.urlPatterns;
+      if (typeof url !== 'string') return null;
+
+      // Recompile only when the pattern list changes (rule updates)
+      if (blockedPatternCache.patterns !== patterns) {
+        var compiled = [];
+        patterns.forEach(function(pattern) {
+          var parsed = parseMatchPattern(pattern);
+          if (!parsed.error) {
+            compiled.push({ pattern: pattern, regex: new RegExp(matchPatternToRegex(parsed), 'i') });
+          }
+        });
+        blockedPatternCache = { patterns: patterns, compiled: compiled };
+      }
+
+      for (var i = 0; i < blockedPatternCache.compiled.length; i++) {
+        if (blockedPatternCache.compiled[i].regex.test(url)) return blockedPatternCache.compiled[i].pattern;
+      }
+
+      return null;
+    }
+
+    /**
+     * Reference implementation: does a URL match one of the blocked patterns?
+     * @param {string} url - Absolute URL
+     * @param {Array<string>} [patterns] - Defaults to the active urlPatterns
+     * @returns {boolean} True if the URL should be blocked
+     */
+    function matchesBlockedPattern(url, patterns) {
+      return findBlockedPattern(url, patterns) !== null;
+    }
+
+    // =============================================================================
+    // LAYER 1: PLAYER AND FEED DATA INTERCEPTION
+    // Intercepts YouTube's player and feed data to remove ads before they load
+    // =============================================================================
+
+    // Limits for the fallback walk over player data of unknown shape
+    var FALLBACK_WALK_LIMITS = { maxDepth: 12, maxNodes: 20000 };
+
+    /**
+     * Check if data has the shape of a player response
+     * @param {Object} data - Candidate player response
+     * @returns {boolean} True if ad data sits at the known paths
+     */
+    function isPlayerResponse(data) {
+      return !!(data.playabilityStatus || data.videoDetails || data.streamingData);
+    }
+
+    /**
+     * Delete ad data at known paths only
+     * @param {Object} data - Player response
+     * @param {Array<string>} paths - Dotted paths, e.g. 'playerAds' or 'playerResponse.adSlots'
+     * @param {Array<string>} [matched] - Receives the paths that were found
+     * @returns {number} Number of properties removed
+     */
+    function deleteAdPaths(data, paths, matched) {
+      var removed = 0;
+
+      for (var i = 0; i < paths.length; i++) {
+        var parts = paths[i].split('.');
+        var parent = data;
+
+        for (var j = 0; j < parts.length - 1 && parent; j++) {
+          parent = typeof parent[parts[j]] === 'object' ? parent[parts[j]] : null;
+        }
+
+        var key = parts[parts.length - 1];
+        if (parent && Object.prototype.hasOwnProperty.call(parent, key)) {
+          delete parent[key];
+          removed++;
+          if (matched) matched.push(paths[i]);
+        }
+      }
+
+      return removed;
+    }
+
+    /**
+     * Recursively delete properties with the given names
+     * @param {Object} data - Object to clean in place
+     * @param {Array<string>} adProps - Property names to delete wherever they appear
+     * @param {{maxDepth: number, maxNodes: number}} limits - Stop descending past these
+     * @param {Array<string>} [matched] - Receives the names that were found
+     * @returns {number} Number of properties removed
+     */
+    function walkRemoveKeys(data, adProps, limits, matched) {
+      var removed = 0;
+      var visited = 0;
+
+      function cleanObject(obj, depth) {
+        if (!obj || typeof obj !== 'object') return;
+        if (depth > limits.maxDepth || ++visited > limits.maxNodes) return;
+
+        // Remove ad properties directly (no cloning)
+        for (var i = 0; i < adProps.length; i++) {
+          if (obj.hasOwnProperty(adProps[i])) {
+            delete obj[adProps[i]];
+            removed++;
+            if (matched && matched.indexOf(adProps[i]) === -1) matched.push(adProps[i]);
+          }
+        }
+
+        // Recursively clean nested objects
+        var keys = Object.keys(obj);
+        for (var j = 0; j < keys.length; j++) {
+          var key = keys[j];
+          if (obj[key] && typeof obj[key] === 'object') {
+            cleanObject(obj[key], depth + 1);
+          }
+        }
+      }
+
+      cleanObject(data, 0);
+      return removed;
+    }
+
+    /**
+     * Strip ads from player data without touching statistics
+     * Player responses are pruned at known paths only; anything else gets a
+     * bounded walk, so generic key names cannot hit unrelated data of known shapes
+     * @param {Object} data - Player data
+     * @param {Array<string>} [matched] - Receives the rules (paths or key names) that matched
+     * @returns {number} Number of properties removed
+     */
+    function pruneAdData(data, matched) {
+      if (isPlayerResponse(data)) {
+        return deleteAdPaths(data, activeRules.playerAdPaths, matched);
+      }
+
+      return walkRemoveKeys(data, activeRules.jsonKeys, FALLBACK_WALK_LIMITS, matched);
+    }
+
+    /**
+     * Remove ad-related properties from YouTube player data
+     * Modifies objects in-place to preserve object types and avoid cloning overhead
+     * @param {Object} data - The data object to clean
+     * @param {string} [endpoint] - Where the data came from, for statistics
+     * @returns {Object} The cleaned data object
+     */
+    function removeAdData(data, endpoint) {
+      if (!data || typeof data !== 'object') {
+        return data;
+      }
+
+      // Count the ad time before it is stripped
+      var startedAt = now();
+      var adSeconds = estimateAdSeconds(data);
+      var videoId = data.videoDetails ? data.videoDetails.videoId : null;
+      var matched = [];
+      var removed = pruneAdData(data, matched);
+
+      // Counted once the video plays, which it may already (see AdTimeEstimates)
+      if (adSeconds > 0 && typeof videoId === 'string') {
+        AdTimeEstimates.remember(videoId, adSeconds);
+        AdTimeEstimates.credit(getCurrentVideoId());
+      }
+      BlockingStats.add('adKeysStripped', removed, endpoint || 'unknown');
+
+      if (removed > 0) {
+        Logger.info('player', 'Stripped ' + removed + ' ad properties', {
+          endpoint: endpoint || 'unknown',
+          rules: matched,
+          adSeconds: adSeconds
+        });
+        ActivityEvents.emit('response-cleaned', {
+          layer: 'player',
+          endpoint: endpoint || 'unknown',
+          rules: matched,
+          removed: removed,
+          videoId: videoId,
+          durationMs: now() - startedAt
+        });
+      }
+      return data;
+    }
+
+    /**
+     * Find the ad renderer of a feed, search or guide item
+     * @param {Object} item - Item from a contents/items array
+     * @param {Array<string>} [renderers] - Ad renderer keys, defaults to the feedRenderers rules
+     * @returns {string|null} Name of the ad renderer the item is (or wraps), null if not an ad
+     */
+    function findAdRenderer(item, renderers) {
+      if (!item || typeof item !== 'object' || Array.isArray(item)) return null;
+
+      renderers = renderers || activeRules.feedRenderers;
+      var keys = Object.keys(item);
+      for (var i = 0; i < keys.length; i++) {
+        if (renderers.indexOf(keys[i]) !== -1) return keys[i];
+      }
+
+      // Grid wrappers: {richItemRenderer: {content: {adSlotRenderer: {...}}}}
+      var wrapper = item.richItemRenderer || item.richSectionRenderer;
+      return wrapper && wrapper.content ? findAdRenderer(wrapper.content, renderers) : null;
+    }
+
+    /**
+     * Check if a feed, search or guide item is an ad
+     * @param {Object} item - Item from a contents/items array
+     * @returns {boolean} True if the item is (or wraps) an ad renderer
+     */
+    function isAdItem(item) {
+      return findAdRenderer(item) !== null;
+    }
+
+    /**
+     * Remove ad items from feed, search and guide data before YouTube renders them
+     * Filters every item array in place and drops ad-only slots such as the masthead
+     * @param {Object} data - ytInitialData or a browse/search/guide response
+     * @param {string} [endpoint] - Where the data came from, for statistics
+     * @param {Function} [keepItem] - Return true to keep an ad item (allowlist)
+     * @returns {Object} The cleaned data object
+     */
+    function removeFeedAds(data, endpoint, keepItem) {
+      if (!data || typeof data !== 'object') {
+        return data;
+      }
+
+      var startedAt = now();
+      var removed = 0;
+      var renderers = {};
+
+      var adRenderers = activeRules.feedRenderers;
+      if (config.annoyances['premium-upsells']) {
+        adRenderers = adRenderers.concat(activeRules.upsellRenderers);
+
+        // YouTube Music pushes Premium promos through the same responses
+        if (isYouTubeMusic()) {
+          adRenderers = adRenderers.concat(activeRules.musicFeedRenderers);
+        }
+      }
+
+      function shouldRemove(item) {
+        var renderer = findAdRenderer(item, adRenderers);
+        if (!renderer || (keepItem && keepItem(item))) return false;
+
+        renderers[renderer] = (renderers[renderer] || 0) + 1;
+        return true;
+      }
+
+      function cleanNode(node) {
+        if (Array.isArray(node)) {
+          // Walk backwards so splicing keeps indexes valid
+          for (var i = node.length - 1; i >= 0; i--) {
+            if (shouldRemove(node[i])) {
+              node.splice(i, 1);
+              removed++;
+            } else if (node[i] && typeof node[i] === 'object') {
+              cleanNode(node[i]);
+            }
+          }
+          return;
+        }
+
+        var keys = Object.keys(node);
+        for (var j = 0; j < keys.length; j++) {
+          var value = node[keys[j]];
+          if (!value || typeof value !== 'object') continue;
+
+          // Ad-only slots outside item arrays, e.g. richGridRenderer.masthead
+          if (!Array.isArray(value) && shouldRemove(value)) {
+            delete node[keys[j]];
+            removed++;
+          } else {
+            cleanNode(value);
+          }
+        }
+      }
+
+      cleanNode(data);
+      BlockingStats.add('feedItemsStripped', removed, endpoint || 'unknown');
+
+      if (removed > 0) {
+        Logger.info('feed-data', 'Stripped ' + removed + ' ad items', {
+          endpoint: endpoint || 'unknown',
+          renderers: renderers
+        });
+        ActivityEvents.emit('response-cleaned', {
+          layer: 'feed-data',
+          endpoint: endpoint || 'unknown',
+          rules: Object.keys(renderers),
+          removed: removed,
+          durationMs: now() - startedAt
+        });
+      }
+      return data;
+    }
+
+    /**
+     * Read a dotted path
+     * @param {Object} data - Object to read from
+     * @param {string} path - e.g. 'command.reelWatchEndpoint.adClientParams.isAd'
+     * @returns {*} The value, undefined if any step is missing
+     */
+    function readPath(data, path) {
+      var parts = path.split('.');
+      for (var i = 0; i < parts.length && data !== undefined; i++) {
+        data = data && typeof data === 'object' ? data[parts[i]] : undefined;
+      }
+      return data;
+    }
+
+    /**
+     * Remove ad reels from the Shorts sequence before the player queues them
+     * Entries are dropped, not replaced, so the sequence stays contiguous and
+     * swiping lands on the next real Short
+     * @param {Object} data - reel_watch_sequence response
+     * @param {string} [endpoint] - Where the data came from, for statistics
+     * @param {Function} [keepEntry] - Return true to keep an ad entry (allowlist)
+     * @returns {Object} The cleaned data object
+     */
+    function removeReelAds(data, endpoint, keepEntry) {
+      if (!data || !Array.isArray(data.entries)) {
+        return data;
+      }
+
+      var startedAt = now();
+      var removed = 0;
+      var rules = {};
+
+      for (var i = data.entries.length - 1; i >= 0; i--) {
+        var entry = data.entries[i];
+        var rule = findAdRenderer(entry);
+
+        for (var j = 0; j < activeRules.reelAdPaths.length && !rule; j++) {
+          if (readPath(entry, activeRules.reelAdPaths[j])) rule = activeRules.reelAdPaths[j];
+        }
+
+        if (rule && !(keepEntry && keepEntry(entry))) {
+          data.entries.splice(i, 1);
+          rules[rule] = (rules[rule] || 0) + 1;
+          removed++;
+        }
+      }
+
+      BlockingStats.add('feedItemsStripped', removed, endpoint || 'unknown');
+
+      if (removed > 0) {
+        Logger.info('feed-data', 'Stripped ' + removed + ' Shorts ads', {
+          endpoint: endpoint || 'unknown',
+          rules: rules
+        });
+        ActivityEvents.emit('response-cleaned', {
+          layer: 'feed-data',
+          endpoint: endpoint || 'unknown',
+          rules: Object.keys(rules),
+          removed: removed,
+          durationMs: now() - startedAt
+        });
+      }
+      return data;
+    }
+
+    // Endpoints whose JSON responses are cleaned by Layer 1B/1C
+    var DATA_ENDPOINTS = [
+      { path: '/youtubei/v1/player', clean: cleanPlayerResponse },
+      { path: '/youtubei/v1/reel/reel_item_watch', clean: cleanReelItemResponse },
+      { path: '/youtubei/v1/reel/reel_watch_sequence', clean: cleanReelResponse, layer: 'feedData' },
+      { path: '/youtubei/v1/next', clean: stripEnforcement, layer: 'antiEnforcement', mentions: mentionsEnforcement },
+      { path: '/youtubei/v1/browse', clean: cleanFeedResponse, layer: 'feedData' },
+      { path: '/youtubei/v1/search', clean: cleanFeedResponse, layer: 'feedData' },
+      { path: '/youtubei/v1/guide', clean: cleanFeedResponse, layer: 'feedData' }
+    ];
+
+    /**
+     * Find how to clean the response of a request
+     * Endpoints with mentions() are only parsed and rewritten when it finds
+     * something to clean in the response text (e.g. /next, comments included)
+     * @param {string} url - Request URL
+     * @returns {{path: string, clean: Function, mentions?: Function}|null} Endpoint,
+     *   or null to leave it alone
+     */
+    function findDataEndpoint(url) {
+      if (!url) return null;
+
+      for (var i = 0; i < DATA_ENDPOINTS.length; i++) {
+        var endpoint = DATA_ENDPOINTS[i];
+        if (url.indexOf(endpoint.path) !== -1) {
+          return !endpoint.layer || config.layers[endpoint.layer] ? endpoint : null;
+        }
+      }
+
+      return null;
+    }
+
+    // Player vars that hold a player response, as JSON text or as an object
+    var PLAYER_VARS_RESPONSES = {
+      embedded_player_response: 'string',
+      player_response: 'string',
+      raw_embedded_player_response: 'object',
+      raw_player_response: 'object'
+    };
+
+    /**
+     * Strip ads from the player responses inside embed player vars
+     * @param {Object} vars - ytcfg PLAYER_VARS or ytplayer.config.args, cleaned in place
+     * @param {string} source - Where the vars came from, for statistics
+     */
+    function cleanPlayerVars(vars, source) {
+      if (!vars || typeof vars !== 'object') return;
+
+      Object.keys(PLAYER_VARS_RESPONSES).forEach(function(key) {
+        var value = vars[key];
+        if (!value || typeof value !== PLAYER_VARS_RESPONSES[key]) return;
+
+        if (typeof value === 'object') {
+          cleanPlayerResponse(value, source + '.' + key);
+          return;
+        }
+
+        try {
+          vars[key] = JSON.stringify(cleanPlayerResponse(JSON.parse(value), source + '.' + key));
+        } catch (e) {
+          Logger.debug('player', 'Left unparsable ' + key + ' alone', { source: source, error: e });
+        }
+      });
+    }
+
+    /**
+     * Wrap ytcfg.set() so PLAYER_VARS are cleaned on the way in
+     * Accepts both ytcfg.set({PLAYER_VARS: vars}) and ytcfg.set('PLAYER_VARS', vars)
+     * @param {Function} set - The page's ytcfg.set
+     * @returns {Function} The wrapper (or set itself if already wrapped)
+     */
+    function wrapYtcfgSet(set) {
+      if (typeof set !== 'function' || set.sgWrapped) return set;
+
+      var wrapped = function(values, value) {
+        if (config.layers.initialPlayerResponse) {
+          if (typeof values === 'string') {
+            if (values === 'PLAYER_VARS') cleanPlayerVars(value, 'ytcfg');
+          } else if (values && typeof values === 'object') {
+            cleanPlayerVars(values.PLAYER_VARS, 'ytcfg');
+          }
+        }
+        return set.apply(this, arguments);
+      };
+      wrapped.sgWrapped = true;
+      return wrapped;
+    }
+
+    /**
+     * Pass every value assigned to a property through a transform
+     * @param {Object} target - Object owning the property
+     * @param {string} name - Property name
+     * @param {Function} transform - Gets the assigned value, returns the value to keep
+     */
+    function hookAssignment(target, name, transform) {
+      var raw = target[name];
+      var value = raw === undefined ? undefined : transform(raw);
+
+      Object.defineProperty(target, name, {
+        set: function(next) {
+          raw = next;
+          value = transform(next);
+        },
+        get: function() {
+          return value;
+        },
+        configurable: true,
+        enumerable: true
+      });
+
+      // Give the page back what it assigned (e.g. the unwrapped ytcfg.set)
+      onTeardown(name + ' accessor', function() {
+        restoreDataProperty(target, name, raw);
+      });
+    }
+
+    // Set by installDataHooks(), Layer 5 loads segment files around the hook
+    var originalFetch;
+
+    /**
+     * Hook the data sources of the target window (Layers 1A-1D)
+     */
+    function installDataHooks() {
+      // Layer 1A: Intercept ytInitialPlayerResponse (page load)
+      try {
+        var _ytInitialPlayerResponse;
+
+        Object.defineProperty(window, 'ytInitialPlayerResponse', {
+          set: function(value) {
+            _ytInitialPlayerResponse = config.layers.initialPlayerResponse ? cleanPlayerResponse(value, 'ytInitialPlayerResponse') : value;
+          },
+          get: function() {
+            return _ytInitialPlayerResponse;
+          },
+          configurable: true,
+          enumerable: true
+        });
+        onTeardown('ytInitialPlayerResponse accessor', function() {
+          restoreDataProperty(window, 'ytInitialPlayerResponse', _ytInitialPlayerResponse);
+        });
+      } catch (error) {
+        reportError('player', 'Failed to hook ytInitialPlayerResponse', error);
+      }
+
+      // Layer 1D: Intercept ytInitialData (feed, search and watch page data on page load)
+      try {
+        var _ytInitialData;
+
+        Object.defineProperty(window, 'ytInitialData', {
+          set: function(value) {
+            _ytInitialData = config.layers.feedData ? cleanFeedResponse(value, 'ytInitialData') : value;
+          },
+          get: function() {
+            return _ytInitialData;
+          },
+          configurable: true,
+          enumerable: true
+        });
+        onTeardown('ytInitialData accessor', function() {
+          restoreDataProperty(window, 'ytInitialData', _ytInitialData);
+        });
+      } catch (error) {
+        reportError('feed-data', 'Failed to hook ytInitialData', error);
+      }
+
+      // Layer 1E: Intercept the embedded player config (ytcfg PLAYER_VARS and
+      // ytplayer.config.args carry the player response on /embed/ pages)
+      try {
+        hookAssignment(window, 'ytcfg', function(ytcfg) {
+          if (ytcfg && typeof ytcfg === 'object') {
+            hookAssignment(ytcfg, 'set', wrapYtcfgSet);
+          }
+          return ytcfg;
+        });
+
+        hookAssignment(window, 'ytplayer', function(ytplayer) {
+          if (ytplayer && typeof ytplayer === 'object') {
+            hookAssignment(ytplayer, 'config', function(playerConfig) {
+              if (playerConfig && config.layers.initialPlayerResponse) {
+                cleanPlayerVars(playerConfig.args, 'ytplayer.config');
+              }
+              return playerConfig;
+            });
+          }
+          return ytplayer;
+        });
+      } catch (error) {
+        reportError('player', 'Failed to hook the embedded player config', error);
+      }
+
+      // Layer 1B: Intercept fetch() API (dynamic requests)
+      try {
+        originalFetch = patchMethod(window, 'fetch', function(input, init) {
+          var url = typeof input === 'string' ? input : input instanceof URL ? input.toString() : input.url;
+
+          // PERFORMANCE: Skip video CDN entirely (never intercept video segments)
+          if (isVideoCdnUrl(url)) {
+            return originalFetch.call(this, input, init);
+          }
+
+          // Layer 2B: ad and tracking requests never leave the page
+          if (shouldBlockRequest(url, 'fetch')) {
+            return Promise.resolve(new Response(null, { status: 204, statusText: 'No Content' }));
+          }
+
+          // Layer switched off via configure()
+          if (!config.layers.networkHooks) {
+            return originalFetch.call(this, input, init);
+          }
+
+          // Call original fetch
+          return originalFetch.call(this, input, init).then(function(response) {
+            // PERFORMANCE: Only process JSON responses (skip binary video/images)
+            var contentType = response.headers.get('content-type');
+            if (!contentType || contentType.indexOf('application/json') === -1) {
+              return response;
+            }
+
+            // Only intercept player, feed, search and guide APIs
+            var endpoint = findDataEndpoint(url);
+            if (endpoint) {
+              // Clone response to read it
+              var cloned = response.clone();
+              return cloned.text().then(function(text) {
+                if (endpoint.mentions && !endpoint.mentions(text)) {
+                  return response;
+                }
+
+                // Try to parse as JSON
+                var data;
+                try {
+                  data = JSON.parse(text);
+                } catch (e) {
+                  // Not JSON, return original
+                  Logger.debug('network', 'Left unparsable response alone', { url: url, error: e });
+                  return response;
+                }
+
+                // Remove ad data (modifies in place)
+                endpoint.clean(data, endpoint.path);
+                Logger.debug('network', 'Rewrote fetch response', { url: url, endpoint: endpoint.path });
+
+                // Reconstruct response with proper headers
+                var modifiedText = JSON.stringify(data);
+                var modifiedHeaders = new Headers(response.headers);
+                modifiedHeaders.set('content-length', modifiedText.length.toString());
+
+                return new Response(modifiedText, {
+                  status: response.status,
+                  statusText: response.statusText,
+                  headers: modifiedHeaders
+                });
+              }).catch(function(error) {
+                Logger.error('network', 'Failed to clean fetch response', { url: url, error: error });
+                return response;
+              });
+            }
+
+            return response;
+          });
+        });
+      } catch (error) {
+        reportError('network', 'Failed to hook fetch()', error);
+      }
+
+      // Layer 1C: Intercept XMLHttpRequest (legacy support)
+      try {
+        var originalOpen = XMLHttpRequest.prototype.open;
+        var originalSend = XMLHttpRequest.prototype.send;
+
+        patchMethod(XMLHttpRequest.prototype, 'open', function(method, url, async, user, password) {
+          this._sgUrl = url ? url.toString() : '';
+          return originalOpen.call(this, method, url, async !== false, user, password);
+        });
+
+        patchMethod(XMLHttpRequest.prototype, 'send', function() {
+          var self = this;
+          var url = this._sgUrl || '';
+          var args = arguments;
+
+          // PERFORMANCE: Skip video CDN entirely (never intercept video segments)
+          if (isVideoCdnUrl(url)) {
+            return originalSend.apply(this, args);
+          }
+
+          // Layer 2B: answer ad and tracking requests with an empty response
+          if (shouldBlockRequest(url, 'xhr')) {
+            completeBlockedXHR(this);
+            return undefined;
+          }
+
+          // CRITICAL: Only intercept player, feed, search and guide APIs
+          if (findDataEndpoint(url)) {
+            this.addEventListener('readystatechange', function() {
+              // Checked again on completion, the layers may have changed meanwhile
+              var endpoint = findDataEndpoint(url);
+              if (self.readyState === 4 && self.responseText && config.layers.networkHooks && endpoint &&
+                  (!endpoint.mentions || endpoint.mentions(self.responseText))) {
+                try {
+                  var data = JSON.parse(self.responseText);
+                  endpoint.clean(data, endpoint.path);
+                  Logger.debug('network', 'Rewrote XHR response', { url: url, endpoint: endpoint.path });
+
+                  // Override responseText getter
+                  Object.defineProperty(self, 'responseText', {
+                    writable: false,
+                    configurable: true,
+                    value: JSON.stringify(data)
+                  });
+                } catch (e) {
+                  // Not JSON or parsing failed, ignore
+                  Logger.debug('network', 'Left unparsable XHR response alone', { url: url, error: e });
+                }
+              }
+            });
+          }
+
+          return originalSend.apply(this, args);
+        });
+      } catch (error) {
+        reportError('network', 'Failed to hook XMLHttpRequest', error);
+      }
+    }
+
+    // =============================================================================
+    // LAYER 2B: IN-PAGE REQUEST BLOCKING
+    // For hosts without network-level blocking (e.g. a plain WebView), requests
+    // matching the blocked URL patterns are stopped in the page itself and get a
+    // harmless empty response: fetch() and XHR (via the Layer 1 hooks),
+    // navigator.sendBeacon(), and img/script/iframe src.
+    // Video segments (/videoplayback on *.googlevideo.com) are never checked
+    // here: ad segments are kept out by Layer 1, or blocked at the network level.
+    // Other requests to the CDN (e.g. /pcs/activeview) go through the patterns.
+    // Beacons and element src are only hooked for the request types on at start.
+    // =============================================================================
+
+    // 1x1 transparent GIF, keeps image load handlers firing
+    var EMPTY_IMAGE = 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7';
+
+    /**
+     * Check for a video segment on the video CDN
+     * @param {string} url - Request URL, absolute or relative
+     * @returns {boolean} True for /videoplayback on a googlevideo.com subdomain
+     */
+    function isVideoCdnUrl(url) {
+      // Cheap test first, this runs for every request
+      if (typeof url !== 'string' || url.indexOf('googlevideo.com') === -1) return false;
+
+      var parsed;
+      try {
+        parsed = new URL(url, getLocation().href || undefined);
+      } catch (e) {
+        return false;
+      }
+
+      return /\.googlevideo\.com$/.test(parsed.hostname) && parsed.pathname === '/videoplayback';
+    }
+
+    /**
+     * Decide whether a request is blocked, and count it if so
+     * @param {string} url - Request URL, absolute or relative
+     * @param {string} type - Request API: fetch, xhr, beacon, image, script or iframe
+     * @returns {boolean} True if the request must not be sent
+     */
+    function shouldBlockRequest(url, type) {
+      if (!url || !config.layers.requestBlocking || !config.blockedRequestTypes[type]) {
+        return false;
+      }
+
+      var absoluteUrl;
+      try {
+        absoluteUrl = new URL(String(url), getLocation().href || undefined).href;
+      } catch (e) {
+        Logger.debug('blocking', 'Ignoring ' + type + ' request with an invalid URL', { url: String(url) });
+        return false;
+      }
+
+      var pattern = findBlockedPattern(absoluteUrl);
+      if (!pattern) {
+        return false;
+      }
+
+      BlockingStats.add('requestsBlocked', 1, type);
+      Logger.debug('blocking', 'Blocked ' + type + ' request', { url: absoluteUrl, pattern: pattern });
+      ActivityEvents.emit('request-blocked', {
+        layer: 'blocking',
+        rule: pattern,
+        requestType: type,
+        url: absoluteUrl
+      });
+      return true;
+    }
+
+    /**
+     * Finish an XHR as if the server answered 204 with an empty body
+     * @param {XMLHttpRequest} xhr - Opened request that was not sent
+     */
+    function completeBlockedXHR(xhr) {
+      var values = { readyState: 4, status: 204, statusText: 'No Content', responseText: '', response: '' };
+
+      Object.keys(values).forEach(function(name) {
+        Object.defineProperty(xhr, name, { configurable: true, value: values[name] });
+      });
+
+      // Asynchronous, like a real response
+      setTimeout(function() {
+        ['readystatechange', 'load', 'loadend'].forEach(function(type) {
+          xhr.dispatchEvent(new Event(type));
+        });
+      }, 0);
+    }
+
+    /**
+     * Handle a src about to be assigned to an img, script or iframe
+     * @param {Element} element - Element receiving the src
+     * @param {*} value - The src (string or TrustedScriptURL)
+     * @returns {boolean} True if the assignment was replaced and must not go through
+     */
+    function interceptElementSrc(element, value) {
+      var tagName = element.tagName;
+      var type = tagName === 'IMG' ? 'image' : tagName === 'SCRIPT' ? 'script' : tagName === 'IFRAME' ? 'iframe' : null;
+      if (!type || !shouldBlockRequest(value, type)) return false;
+
+      if (type === 'image') {
+        originalSrcSetters.IMG.call(element, EMPTY_IMAGE);
+      } else if (type === 'iframe') {
+        originalSrcSetters.IFRAME.call(element, 'about:blank');
+      } else {
+        // Script src is guarded by Trusted Types: load nothing and fail the way
+        // a request blocked by the browser does
+        setTimeout(function() {
+          element.dispatchEvent(new Event('error'));
+        }, 0);
+      }
+
+      return true;
+    }
+
+    var originalSrcSetters = {};
+
+    /**
+     * Hook the request APIs of the target window (Layer 2B)
+     * Only the APIs of the request types on now: their hooks run on every
+     * beacon and every src of the page.
+     */
+    function installRequestBlocking() {
+      if (!config.layers.requestBlocking) return;
+
+      try {
+        var originalSendBeacon = navigator.sendBeacon;
+
+        if (config.blockedRequestTypes.beacon && typeof originalSendBeacon === 'function') {
+          patchMethod(navigator, 'sendBeacon', function(url, data) {
+            // Report the beacon as queued, like the browser would
+            if (shouldBlockRequest(url, 'beacon')) {
+              return true;
+            }
+            return originalSendBeacon.call(navigator, url, data);
+          });
+        }
+      } catch (error) {
+        reportError('blocking', 'Failed to hook navigator.sendBeacon()', error);
+      }
+
+      try {
+        [
+          { tagName: 'IMG', type: 'image', constructor: window.HTMLImageElement },
+          { tagName: 'SCRIPT', type: 'script', constructor: window.HTMLScriptElement },
+          { tagName: 'IFRAME', type: 'iframe', constructor: window.HTMLIFrameElement }
+        ].forEach(function(target) {
+          if (!config.blockedRequestTypes[target.type] || !target.constructor) return;
+
+          var prototype = target.constructor.prototype;
+          var descriptor = Object.getOwnPropertyDescriptor(prototype, 'src');
+          if (!descriptor || !descriptor.set) return;
+
+          originalSrcSetters[target.tagName] = descriptor.set;
+
+          Object.defineProperty(prototype, 'src', {
+            configurable: true,
+            enumerable: descriptor.enumerable,
+            get: descriptor.get,
+            set: function(value) {
+              if (destroyed || !interceptElementSrc(this, value)) {
+                descriptor.set.call(this, value);
+              }
+            }
+          });
+          onTeardown(target.tagName + ' src setter', function() {
+            Object.defineProperty(prototype, 'src', descriptor);
+          });
+
+          // setAttribute('src') of these elements only, not of every element
+          var originalSetAttribute = prototype.setAttribute;
+          patchMethod(prototype, 'setAttribute', function(name, value) {
+            if (typeof name === 'string' && name.toLowerCase() === 'src' && interceptElementSrc(this, value)) {
+              return undefined;
+            }
+            return originalSetAttribute.call(this, name, value);
+          });
+        });
+      } catch (error) {
+        reportError('blocking', 'Failed to hook element src', error);
+      }
+    }
+
+    // =============================================================================
+    // LAYER 3 & 4: ENHANCED DOM-BASED FALLBACK AND FEED MONITORING
+    // Detects and skips ads that slip through Layer 1-2
+    // Monitors and removes sponsored content from feeds
+    // =============================================================================
+
+    var YouTubeAdSkipper = {
+      observer: null,
+      adModuleObserver: null,
+      feedObserver: null,
+      checkInterval: null,
+      burstUntil: 0,
+      videoListeners: null,
+      detectionMetrics: null,
+      isInitialized: false,
+      lastAdState: false,
+      adStartedAt: 0,
+      adSignal: null,
+      countedAd: null,     // {src, duration} of the ad last counted as skipped
+      generation: 0,
+      hasStarted: false,
+      route: null,         // classifyRoute() result of the page init() ran for
+      navigationObserved: false,
+
+      /**
+       * Initialize ad skipper
+       */
+      init: function() {
+        var self = this;
+        if (this.isInitialized) return;
+        this.hasStarted = true;
+
+        adLabelCache = null;
+
+        // The page type decides what runs here, see PAGE ROUTES
+        var route = getRoute();
+        var handlers = PAGE_HANDLERS[route.type];
+        if (!this.route || this.route.type !== route.type) {
+          Logger.debug('route', 'Page type ' + route.type, {
+            videoId: route.videoId,
+            playlistId: route.playlistId
+          });
+        }
+        this.route = route;
+
+        // Navigated to a video whose player response came in before the URL changed
+        AdTimeEstimates.credit(route.videoId);
+
+        // Inject CSS for ad hiding (ENHANCED)
+        if (config.layers.cosmetic) {
+          this.injectAdBlockingCSS();
+        }
+
+        // Setup feed ad monitoring on pages with a feed (unless switched off)
+        if (config.layers.feedCleanup && handlers.feed) {
+          this.setupFeedAdMonitoring();
+        }
+
+        // Dismiss the anti-adblock popup wherever it shows up
+        if (config.layers.antiEnforcement) {
+          EnforcementGuard.start();
+        }
+
+        // Skip ad reels in the Shorts player
+        if (config.layers.domSkipping && handlers.shorts) {
+          ShortsGuard.start();
+        }
+
+        var skipAds = config.layers.domSkipping && handlers.player;
+        var skipSegments = config.layers.segmentSkipping && handlers.segments;
+
+        // Only setup video player monitoring on pages with a player: watch, live,
+        // embed and channel trailers (every page on YouTube Music)
+        if (skipAds || skipSegments) {
+          // Wait for player then start detection (ignore if cleaned up meanwhile)
+          var generation = this.generation;
+          this.waitForPlayer().then(function(found) {
+            if (generation !== self.generation) return;
+
+            if (!found) {
+              Logger.debug('player', 'No player on this ' + route.type + ' page, not watching for ads');
+              self.isInitialized = true;
+              return;
+            }
+
+            // Pages without the video ID in the URL (YouTube Music, channel trailers)
+            AdTimeEstimates.credit(getCurrentVideoId());
+
+            if (skipAds) {
+              self.setupAdDetection();
+            }
+
+            if (skipSegments) {
+              SegmentSkipper.attach(self.getVideo(), getCurrentVideoId());
+            }
+
+            self.isInitialized = true;
+          });
+        } else {
+          // For pages without a player, still consider initialized
+          self.isInitialized = true;
+        }
+
+        // Handle YouTube SPA navigation
+        this.observeYouTubeNavigation();
+      },
+
+      /**
+       * Find the player, inside ytmusic-player on YouTube Music
+       * @returns {HTMLElement|null} #movie_player, the channel trailer player or the mobile web player
+       */
+      getMoviePlayer: function() {
+        if (isMobileYouTube()) {
+          return queryFirst(activeRules.mobilePlayers);
+        }
+
+        // The channel trailer has a player of its own, #movie_player may be
+        // left hidden in the page by an earlier watch page
+        if ((this.route || getRoute()).type === 'channel') {
+          return queryFirst(activeRules.channelPlayers);
+        }
+
+        if (!isYouTubeMusic()) {
+          return document.getElementById('movie_player');
+        }
+
+        var host = document.querySelector(activeRules.musicPlayers.join(', '));
+        return host ? host.querySelector('#movie_player') : null;
+      },
+
+      /**
+       * @returns {HTMLVideoElement|null} The main video element
+       */
+      getVideo: function() {
+        if (isMobileYouTube()) {
+          return queryFirst(activeRules.mobileVideos);
+        }
+
+        if (!isYouTubeMusic() && (this.route || getRoute()).type !== 'channel') {
+          return document.querySelector('.video-stream');
+        }
+
+        var moviePlayer = this.getMoviePlayer();
+        return moviePlayer ? moviePlayer.querySelector('video') : null;
+      },
+
+      /**
+       * Wait for YouTube player to be ready
+       * Gives up after PLAYER_WAIT_MS: most channel pages have no trailer
+       * @returns {Promise<boolean>} True once the player is there, false on timeout
+       */
+      waitForPlayer: function() {
+        var self = this;
+        var generation = this.generation;
+        var routeType = (this.route || getRoute()).type;
+        var deadline = now() + (PLAYER_WAIT_MS[routeType] || PLAYER_WAIT_MS.other);
+
+        return new Promise(function(resolve) {
+          function checkPlayer() {
+            // Stop waiting once cleaned up (navigation or reconfiguration)
+            if (generation !== self.generation) return;
+
+            var moviePlayer = self.getMoviePlayer();
+            var video = self.getVideo();
+
+            if (moviePlayer && video) {
+              resolve(true);
+            } else if (now() >= deadline) {
+              resolve(false);
+            } else {
+              setTimeout(checkPlayer, 100);
+            }
+          }
+
+          checkPlayer();
+        });
+      },
+
+      /**
+       * Setup ad detection
+       * 'events' mode: checks run on player class changes, video events and the
+       * ad module filling up, polling only runs in short bursts around an ad.
+       * 'polling' mode: a check every detectionInterval for as long as the page lives.
+       */
+      setupAdDetection: function() {
+        var self = this;
+        var moviePlayer = this.getMoviePlayer();
+        var video = this.getVideo();
+        if (!moviePlayer) return;
+
+        if (video) {
+          PlayerState.track(video, moviePlayer);
+        }
+
+        // MutationObserver for class changes (ad-showing, ad-interrupting)
+        this.observer = new MutationObserver(function() {
+          self.handleAdDetection('player-class');
+        });
+
+        if (moviePlayer instanceof Node) {
+          this.observer.observe(moviePlayer, {
+            attributes: true,
+            attributeFilter: ['class']
+          });
+        }
+
+        if (config.detectionMode === 'polling') {
+          this.checkInterval = setInterval(function() {
+            self.handleAdDetection('poll');
+          }, config.detectionInterval);
+          return;
+        }
+
+        // A new source or duration usually means an ad started or ended
+        if (video) {
+          this.videoListeners = { element: video, handlers: {} };
+          ['loadedmetadata', 'durationchange', 'playing'].forEach(function(type) {
+            var handler = function() {
+              self.handleAdDetection('video-' + type);
+            };
+            self.videoListeners.handlers[type] = handler;
+            video.addEventListener(type, handler);
+          });
+        }
+
+        // The ad module gets its content (ad text, skip button) when an ad loads,
+        // sometimes before the player class changes
+        var adModule = moviePlayer.querySelector('.video-ads');
+        this.adModuleObserver = new MutationObserver(function() {
+          self.startBurst();
+          self.handleAdDetection('ad-module');
+        });
+        this.adModuleObserver.observe(adModule || moviePlayer, adModule ?
+          { childList: true, subtree: true } :
+          { childList: true });
+
+        // An ad may already be playing
+        this.handleAdDetection('setup');
+      },
+
+      /**
+       * Poll at detectionInterval for a while: skip buttons and overlays show up
+       * without any event to hang a check on. Each call extends the burst, which
+       * ends once the time is up and no ad is showing.
+       */
+      startBurst: function() {
+        var self = this;
+        this.burstUntil = Date.now() + config.adBurstDuration;
+        if (this.checkInterval !== null) return;
+
+        this.checkInterval = setInterval(function() {
+          if (!self.lastAdState && Date.now() > self.burstUntil) {
+            clearInterval(self.checkInterval);
+            self.checkInterval = null;
+            return;
+          }
+          self.handleAdDetection('poll');
+        }, config.detectionInterval);
+      },
+
+      /**
+       * Count a detection check for getDetectionMetrics()
+       * @param {string} source - What triggered the check
+       */
+      recordCheck: function(source) {
+        if (!this.detectionMetrics) this.resetDetectionMetrics();
+
+        var metrics = this.detectionMetrics;
+        metrics.checks++;
+        metrics.bySource[source] = (metrics.bySource[source] || 0) + 1;
+      },
+
+      resetDetectionMetrics: function() {
+        this.detectionMetrics = { since: Date.now(), checks: 0, bySource: {} };
+      },
+
+      /**
+       * @returns {Object} Checks run since the last reset, by trigger and per minute
+       */
+      getDetectionMetrics: function() {
+        if (!this.detectionMetrics) this.resetDetectionMetrics();
+
+        var metrics = this.detectionMetrics;
+        var elapsedMs = Math.max(1, Date.now() - metrics.since);
+
+        return {
+          mode: config.detectionMode,
+          polling: this.checkInterval !== null,
+          checks: metrics.checks,
+          bySource: JSON.parse(JSON.stringify(metrics.bySource)),
+          elapsedMs: elapsedMs,
+          checksPerMinute: Math.round(metrics.checks / elapsedMs * 600000) / 10
+        };
+      },
+
+      /**
+       * Setup monitoring for feed ads and sponsored content (NEW)
+       */
+      setupFeedAdMonitoring: function() {
+        var self = this;
+        var processingQueue = [];
+        var processingTimeout = null;
+
+        // Debounced processing function to batch mutations
+        function processQueue() {
+          if (processingQueue.length === 0) return;
+
+          // Only the added subtrees are new, the rest was cleaned already
+          if (isYouTubeMusic() || isMobileYouTube()) {
+            var roots = processingQueue;
+            processingQueue = [];
+            if (isYouTubeMusic()) {
+              self.removeMusicPromos(roots);
+            } else {
+              self.removeMobileAds(roots);
+            }
+            return;
+          }
+
+          var adsDetected = false;
+          var nodesToProcess = processingQueue.slice(); // Copy array
+          processingQueue = []; // Clear queue
+
+          nodesToProcess.forEach(function(node) {
+            // Skip if node is no longer in DOM
+            if (!document.contains(node)) return;
+
+            // Check if it's an ad container
+            if (self.checkIfSponsored(node)) {
+              self.cleanupAdParentContainers(node);
+              adsDetected = true;
+              return;
+            }
+
+            // Check children using modern selectors
+            var sponsoredElements = node.querySelectorAll(activeRules.adContainers.join(', '));
+
+            sponsoredElements.forEach(function(element) {
+              self.cleanupAdParentContainers(element);
+              adsDetected = true;
+            });
+
+            // Sponsored Shorts in shelves may only carry an ad badge
+            queryAllIn([node], activeRules.shortsShelfItems.join(', ')).forEach(function(item) {
+              if (self.removeShortsShelfAd(item)) adsDetected = true;
+            });
+          });
+
+          // Debounced reflow after all mutations processed
+          if (adsDetected) {
+            self.debouncedGridReflow();
+          }
+        }
+
+        // Create observer with debouncing
+        this.feedObserver = new MutationObserver(function(mutations) {
+          mutations.forEach(function(mutation) {
+            if (mutation.type === 'childList') {
+              mutation.addedNodes.forEach(function(node) {
+                if (node instanceof HTMLElement) {
+                  // Filter: Only process rich items and ad containers
+                  // This prevents processing every single DOM change
+                  if (activeRules.feedItemTags.indexOf(node.tagName) !== -1 ||
+                      node.tagName.indexOf('YTMUSIC-') === 0 || node.tagName.indexOf('YTM-') === 0) {
+                    processingQueue.push(node);
+                  }
+                }
+              });
+            }
+          });
+
+          // Debounce: Wait after last mutation before processing
+          // This prevents cascade effects during hover interactions
+          if (processingTimeout) cancelLater(processingTimeout);
+          processingTimeout = later(processQueue, config.feedDebounceDelay);
+        });
+
+        // Start observing body immediately
+        // Body always exists, will catch all content
+        this.feedObserver.observe(document.body, {
+          childList: true,
+          subtree: true
+        });
+
+        // Initial cleanup
+        this.removeExistingSponsoredContent();
+      },
+
+      /**
+       * Remove parent containers and force grid reflow
+       * This eliminates empty space in YouTube's grid layout
+       * @param {HTMLElement} adElement - The detected ad element
+       */
+      cleanupAdParentContainers: function(adElement) {
+        if (!adElement) return;
+
+        var self = this;
+
+        try {
+          // Shorts shelf item (feeds and search): the item goes, the shelf stays
+          if (self.removeShortsShelfAd(adElement)) return;
+
+          // Find the grid item container (ytd-rich-item-renderer)
+          var richItem = adElement.closest('ytd-rich-item-renderer');
+
+          if (richItem) {
+            // PROTECTION: Verify it's actually an ad before removing
+            var containsAdElement = richItem.querySelector(activeRules.adContainers.join(', '));
+
+            // PROTECTION: Don't remove legitimate videos
+            if (!containsAdElement || self.isLegitimateVideoContainer(richItem)) {
+              return;
+            }
+
+            // Allowlisted channel: keep the item and exempt it from the CSS rules
+            if (ChannelAllowlist.isAllowed(ChannelAllowlist.findChannelInElement(richItem))) {
+              richItem.setAttribute(ALLOWED_ATTRIBUTE, 'true');
+              return;
+            }
+
+            // Already handled (reported by several observers)
+            if (richItem.hasAttribute('data-sg-ad-removed')) return;
+
+            // Mark for CSS hiding first (instant)
+            richItem.setAttribute('data-sg-ad-removed', 'true');
+            BlockingStats.add('feedItemsHidden');
+            Logger.debug('feed', 'Hid feed ad', { element: adElement.tagName.toLowerCase() });
+            ActivityEvents.emit('feed-ad-removed', {
+              layer: 'feed',
+              elementType: adElement.tagName.toLowerCase()
+            });
+
+            // Schedule DOM removal after CSS hiding takes effect
+            later(function() {
+              // Check if parent section will be empty
+              var richSection = richItem.closest('ytd-rich-section-renderer');
+              var shouldRemoveSection = false;
+
+              if (richSection) {
+                // Check if section only contains this ad item
+                var sectionItems = richSection.querySelectorAll('ytd-rich-item-renderer');
+                var nonAdItems = Array.prototype.filter.call(sectionItems, function(item) {
+                  return !item.hasAttribute('data-sg-ad-removed') && item !== richItem;
+                });
+
+                shouldRemoveSection = nonAdItems.length === 0;
+              }
+
+              // Remove the item
+              richItem.remove();
+
+              // Remove empty section if applicable
+              if (shouldRemoveSection && richSection) {
+                richSection.remove();
+              }
+
+              // Force grid reflow
+              self.forceGridReflow();
+            }, config.removalDelay); // Delay ensures CSS hiding happens first
+          }
+        } catch (e) {
+          reportError('feed', 'Error cleaning up ad containers', e);
+        }
+      },
+
+      /**
+       * Remove an item of a Shorts shelf if it is an ad
+       * Items count as ads when they hold an ad renderer, or an ad badge that
+       * says so in the page language (see checkIfSponsored)
+       * @param {HTMLElement} element - The item, or an element inside it
+       * @returns {boolean} True if element sits in a Shorts shelf item holding an ad
+       */
+      removeShortsShelfAd: function(element) {
+        var self = this;
+        var item = element.closest(activeRules.shortsShelfItems.join(', '));
+        if (!item) return false;
+
+        if (item.hasAttribute('data-sg-ad-removed') || item.hasAttribute(ALLOWED_ATTRIBUTE)) return true;
+
+        var isAd = Array.prototype.some.call(item.querySelectorAll(activeRules.shortsAdSelectors.join(', ')), function(ad) {
+          return ad.tagName !== 'AD-BADGE-VIEW-MODEL' || self.checkIfSponsored(ad);
+        });
+        if (!isAd) return false;
+
+        // Allowlisted channel: keep the item and exempt it from the CSS rules
+        if (ChannelAllowlist.isAllowed(ChannelAllowlist.findChannelInElement(item))) {
+          item.setAttribute(ALLOWED_ATTRIBUTE, 'true');
+          return true;
+        }
+
+        // Hidden by the CSS at once, removed once that took effect
+        item.setAttribute('data-sg-ad-removed', 'true');
+        BlockingStats.add('feedItemsHidden');
+        Logger.debug('feed', 'Hid Shorts shelf ad', { element: item.tagName.toLowerCase() });
+        ActivityEvents.emit('feed-ad-removed', {
+          layer: 'feed',
+          elementType: item.tagName.toLowerCase()
+        });
+
+        later(function() {
+          (item.closest('ytd-rich-item-renderer') || item).remove();
+        }, config.removalDelay);
+        return true;
+      },
+
+      /**
+       * Force YouTube grid to recalculate layout
+       * Uses requestAnimationFrame for optimal performance
+       */
+      forceGridReflow: function() {
+        requestAnimationFrame(function() {
+          var grids = document.querySelectorAll('ytd-rich-grid-renderer');
+
+          grids.forEach(function(grid) {
+            // Trigger reflow by reading offsetHeight then modifying style
+            var height = grid.offsetHeight; // Force browser to calculate layout
+
+            // Temporarily adjust grid properties to force recalculation
+            grid.style.gridTemplateColumns = window.getComputedStyle(grid).gridTemplateColumns;
+
+            // Reset on next frame to allow browser to optimize
+            requestAnimationFrame(function() {
+              grid.style.gridTemplateColumns = '';
+            });
+          });
+        });
+      },
+
+      /**
+       * Debounced grid reflow to prevent excessive calls
+       * Stores timeout reference for cleanup
+       */
+      debouncedGridReflow: function() {
+        var self = this;
+        if (self._debouncedReflowTimeout) cancelLater(self._debouncedReflowTimeout);
+
+        self._debouncedReflowTimeout = later(function() {
+          self.forceGridReflow();
+          self._debouncedReflowTimeout = null;
+        }, config.reflowDebounceDelay); // Wait after last ad removal
+      },
+
+      /**
+       * Check if element is a legitimate video container that should never be removed
+       * @param {HTMLElement} element - The element to check
+       * @returns {boolean} True if it's a legitimate video container
+       */
+      isLegitimateVideoContainer: function(element) {
+        if (!element) return false;
+
+        var videoElementTypes = activeRules.videoTags;
+
+        // Check if element is a video renderer
+        if (videoElementTypes.indexOf(element.tagName) !== -1) {
+          return true;
+        }
+
+        // Check if element contains video renderers (but NOT ad renderers)
+        if (element.querySelector) {
+          var hasVideo = element.querySelector(videoElementTypes.join(', ').toLowerCase());
+
+          var hasAd = element.querySelector(activeRules.adContainers.join(', '));
+
+          // Only return true if it has video AND no ads
+          return hasVideo && !hasAd;
+        }
+
+        return false;
+      },
+
+      /**
+       * Enhanced sponsored content detection
+       * Uses multiple strategies for reliability
+       */
+      checkIfSponsored: function(element) {
+        if (!element) return false;
+
+        // Strategy 1: Direct ad element type check (HIGHEST CONFIDENCE)
+        var adElementTypes = activeRules.elementTags;
+
+        if (adElementTypes.indexOf(element.tagName) !== -1) {
+          return true;
+        }
+
+        // Strategy 2: Check if element is inside an ad container (MEDIUM CONFIDENCE)
+        if (element.closest) {
+          for (var i = 0; i < adElementTypes.length; i++) {
+            if (element.closest(adElementTypes[i].toLowerCase())) {
+              return true;
+            }
+          }
+        }
+
+        // Strategy 3: Ad badge with strict validation (MEDIUM CONFIDENCE)
+        // Only check if element IS the badge, not if it contains one
+        if (element.tagName === 'AD-BADGE-VIEW-MODEL' ||
+            element.tagName === 'BADGE-SHAPE') {
+          // Additional validation: check if badge actually says "Ad" or "Sponsored"
+          // in the page language, as text or as its accessible label
+          if (isAdLabel(element.textContent) || isAdLabel(element.getAttribute('aria-label'))) {
+            return true;
+          }
+        }
+
+        // REMOVED: Strategy 3 (old) - Broad text content matching
+        // REMOVED: Strategy 4 - Broad aria-label matching
+        // These caused false positives on legitimate videos
+
+        return false;
+      },
+
+      /**
+       * Check and remove sponsored content (NEW)
+       */
+      checkAndRemoveSponsoredContent: function(element) {
+        if (!element) return;
+
+        var adSelectors = activeRules.feedSelectors;
+
+        var matchedSelector = null;
+
+        // Check if element matches any ad selector
+        for (var i = 0; i < adSelectors.length; i++) {
+          try {
+            if (element.matches && element.matches(adSelectors[i])) {
+              matchedSelector = adSelectors[i];
+              break;
+            }
+            // Also check if closest ancestor matches
+            if (element.closest && element.closest(adSelectors[i])) {
+              matchedSelector = adSelectors[i];
+              break;
+            }
+          } catch (e) {
+            // Invalid selector, skip
+            Logger.debug('feed', 'Invalid selector in rules', { selector: adSelectors[i], error: e });
+          }
+        }
+
+        if (matchedSelector) {
+          element.remove();
+          ActivityEvents.emit('feed-ad-removed', {
+            layer: 'feed',
+            rule: matchedSelector,
+            elementType: element.tagName.toLowerCase()
+          });
+        }
+      },
+
+      /**
+       * Remove mobile web ad renderers, with the feed item holding them
+       * @param {Array<Element>} [roots] - Only search these added subtrees
+       */
+      removeMobileAds: function(roots) {
+        var self = this;
+
+        // Sponsored Shorts in shelves first: the item goes, not just its ad renderer
+        queryAllIn(roots, activeRules.shortsShelfItems.join(', ')).forEach(function(item) {
+          self.removeShortsShelfAd(item);
+        });
+
+        var ads = queryAllIn(roots, activeRules.mobileAdTags.join(', ').toLowerCase());
+        var containers = activeRules.mobileItemContainers.join(', ');
+        var removed = 0;
+
+        for (var i = 0; i < ads.length; i++) {
+          if (ads[i].closest('[data-sg-ad-removed], [' + ALLOWED_ATTRIBUTE + ']')) continue;
+
+          var item = (containers && ads[i].closest(containers)) || ads[i];
+          if (!item.isConnected || item.hasAttribute(ALLOWED_ATTRIBUTE)) continue;
+
+          // Allowlisted channel: keep the item and exempt it from the CSS rules
+          if (ChannelAllowlist.isAllowed(ChannelAllowlist.findChannelInElement(item))) {
+            item.setAttribute(ALLOWED_ATTRIBUTE, 'true');
+            continue;
+          }
+
+          item.remove();
+          removed++;
+          ActivityEvents.emit('feed-ad-removed', {
+            layer: 'feed',
+            elementType: ads[i].tagName.toLowerCase()
+          });
+        }
+
+        if (removed > 0) {
+          BlockingStats.add('feedItemsHidden', removed);
+          Logger.debug('feed', 'Removed ' + removed + ' mobile web ads');
+        }
+      },
+
+      /**
+       * Remove YouTube Music's promo shelves and Premium banners
+       * @param {Array<Element>} [roots] - Only search these added subtrees
+       */
+      removeMusicPromos: function(roots) {
+        if (!config.annoyances['premium-upsells']) return;
+
+        var promos;
+        try {
+          promos = queryAllIn(roots, activeRules.musicPromoSelectors.join(', '));
+        } catch (e) {
+          Logger.warn('feed', 'Invalid selector in musicPromoSelectors', { error: e });
+          return;
+        }
+
+        for (var i = 0; i < promos.length; i++) {
+          promos[i].remove();
+          ActivityEvents.emit('feed-ad-removed', {
+            layer: 'feed',
+            elementType: promos[i].tagName.toLowerCase()
+          });
+        }
+
+        if (promos.length > 0) {
+          BlockingStats.add('feedItemsHidden', promos.length);
+          Logger.debug('feed', 'Removed ' + promos.length + ' YouTube Music promos');
+        }
+      },
+
+      /**
+       * Remove existing sponsored content from the page (NEW)
+       */
+      removeExistingSponsoredContent: function() {
+        if (isYouTubeMusic()) {
+          this.removeMusicPromos();
+          return;
+        }
+
+        if (isMobileYouTube()) {
+          this.removeMobileAds();
+          return;
+        }
+
+        var adSelectors = activeRules.feedSelectors;
+
+        var self = this;
+        var foundAds = false;
+
+        adSelectors.forEach(function(selector) {
+          try {
+            var elements = document.querySelectorAll(selector);
+            elements.forEach(function(element) {
+              self.cleanupAdParentContainers(element);
+              foundAds = true;
+            });
+          } catch (e) {
+            // Invalid selector, skip
+            Logger.warn('feed', 'Invalid selector in rules', { selector: selector, error: e });
+          }
+        });
+
+        // Sponsored Shorts in shelves may only carry an ad badge
+        queryAllIn(null, activeRules.shortsShelfItems.join(', ')).forEach(function(item) {
+          if (self.removeShortsShelfAd(item)) foundAds = true;
+        });
+
+        // Single reflow after all initial ads removed
+        if (foundAds) {
+          later(function() {
+            self.forceGridReflow();
+          }, 200); // 200ms ensures all DOM removals complete
+        }
+      },
+
+      /**
+       * Layer 3: Fallback ad detection and skipping
+       * Only triggers if ads slip through Layers 1-2 (should be rare)
+       * More aggressive detection and immediate skipping
+       */
+      handleAdDetection: function(source) {
+        this.recordCheck(source || 'manual');
+
+        var video = this.getVideo();
+        var moviePlayer = this.getMoviePlayer();
+
+        if (!video || !moviePlayer) return;
+
+        // Allowlisted channel: let its ads play (and show them despite the CSS)
+        if (this.applyAllowlist(moviePlayer)) {
+          if (this.lastAdState) {
+            this.restorePlayback(video);
+            this.lastAdState = false;
+          }
+          return;
+        }
+
+        // Multi-signal ad detection (more comprehensive)
+        var signal = moviePlayer.classList.contains('ad-showing') ? '.ad-showing' :
+          moviePlayer.classList.contains('ad-interrupting') ? '.ad-interrupting' : null;
+
+        if (!signal) {
+          for (var i = 0; i < activeRules.playerAdSignals.length && !signal; i++) {
+            if (document.querySelector(activeRules.playerAdSignals[i]) !== null) {
+              signal = activeRules.playerAdSignals[i];
+            }
+          }
+        }
+
+        var isNowInAd = signal !== null;
+        var wasInAd = this.lastAdState;
+
+        // STATE TRANSITION: Entering ad state (fallback - should be rare with MAIN world script)
+        if (isNowInAd && !wasInAd) {
+          Logger.info('dom', 'Video ad detected', {
+            signal: signal,
+            trigger: source || 'manual',
+            videoId: getCurrentVideoId()
+          });
+          this.adStartedAt = now();
+          this.adSignal = signal;
+          ActivityEvents.emit('ad-start', {
+            layer: 'dom',
+            rule: signal,
+            trigger: source || 'manual',
+            videoId: getCurrentVideoId()
+          });
+
+          // Save the user's settings (rate, volume, quality, captions...)
+          PlayerState.save(video, moviePlayer);
+
+          // Mute immediately
+          video.muted = true;
+          this.countedAd = null;
+          this.countSkippedAd(video);
+
+          // Skip to end IMMEDIATELY (most aggressive)
+          if (video.duration && !isNaN(video.duration)) {
+            video.currentTime = video.duration;
+          }
+
+          // Also try speed-up as backup
+          video.playbackRate = config.skipPlaybackRate;
+
+          // Click skip buttons
+          this.clickSkipButton();
+          this.removeAdOverlays();
+        }
+
+        // STATE TRANSITION: Exiting ad state
+        if (!isNowInAd && wasInAd) {
+          this.restorePlayback(video);
+          ActivityEvents.emit('ad-skipped', {
+            layer: 'dom',
+            rule: this.adSignal,
+            videoId: getCurrentVideoId(),
+            durationMs: now() - this.adStartedAt
+          });
+        }
+
+        // When STAYING in ad state, continuously try to skip
+        if (isNowInAd && wasInAd) {
+          // The next ad of a pod plays in the same ad state
+          this.countSkippedAd(video);
+
+          // Keep jumping to end
+          if (video.duration && !isNaN(video.duration)) {
+            if (video.currentTime < video.duration - 0.3) {
+              video.currentTime = video.duration;
+            }
+          }
+          this.clickSkipButton();
+          this.removeAdOverlays();
+        }
+
+        // When STAYING in content state - DO NOTHING (respect user controls),
+        // only note the settings to restore after the next ad
+        if (!isNowInAd && !wasInAd) {
+          PlayerState.remember(video, moviePlayer);
+        }
+
+        // Keep checking until the ad is over (events mode)
+        if (isNowInAd && config.detectionMode === 'events') {
+          this.startBurst();
+        }
+
+        // Update state for next check
+        this.lastAdState = isNowInAd;
+      },
+
+      /**
+       * Count an ad once as skipped, and its remaining time once its duration is known
+       * A new source or duration in the same ad state is the next ad of the pod
+       * @param {HTMLVideoElement} video - The player's video element
+       */
+      countSkippedAd: function(video) {
+        var src = video.currentSrc || video.src || '';
+        var duration = video.duration && isFinite(video.duration) ? video.duration : null;
+        var counted = this.countedAd;
+
+        if (!counted || counted.src !== src ||
+            (duration && counted.duration && counted.duration !== duration)) {
+          counted = this.countedAd = { src: src, duration: null };
+          BlockingStats.add('videoAdsSkipped');
+        }
+
+        if (duration && !counted.duration) {
+          counted.duration = duration;
+          BlockingStats.add('secondsSaved', Math.max(0, duration - video.currentTime));
+        }
+      },
+
+      /**
+       * Mark the player (and its companion ads) as allowed when the current
+       * video belongs to an allowlisted channel
+       * @param {HTMLElement} moviePlayer - The #movie_player element
+       * @returns {boolean} True if ads should play for the current video
+       */
+      applyAllowlist: function(moviePlayer) {
+        var allowed = ChannelAllowlist.isCurrentVideoAllowed();
+        var targets = [moviePlayer, document.getElementById('player-ads')];
+
+        for (var i = 0; i < targets.length; i++) {
+          if (!targets[i] || targets[i].hasAttribute(ALLOWED_ATTRIBUTE) === allowed) continue;
+
+          if (allowed) {
+            targets[i].setAttribute(ALLOWED_ATTRIBUTE, 'true');
+          } else {
+            targets[i].removeAttribute(ALLOWED_ATTRIBUTE);
+          }
+        }
+
+        return allowed;
+      },
+
+      /**
+       * Re-evaluate the page after the allowlist changed
+       * Ads already removed from feeds or player data cannot be brought back
+       */
+      refreshAllowlist: function() {
+        var marked = document.querySelectorAll('[' + ALLOWED_ATTRIBUTE + ']');
+        for (var i = 0; i < marked.length; i++) {
+          marked[i].removeAttribute(ALLOWED_ATTRIBUTE);
+        }
+
+        var moviePlayer = this.getMoviePlayer();
+        if (moviePlayer) {
+          this.applyAllowlist(moviePlayer);
+        }
+
+        if (this.feedObserver) {
+          this.removeExistingSponsoredContent();
+        }
+      },
+
+      /**
+       * Undo the ad skipping changes and resume content playback
+       * (or stay paused if the user paused during the ad)
+       * @param {HTMLVideoElement} video - The player's video element
+       */
+      restorePlayback: function(video) {
+        PlayerState.restore(video, this.getMoviePlayer());
+      },
+
+      /**
+       * Click skip ad button
+       */
+      clickSkipButton: function() {
+        var skipSelectors = activeRules.skipButtons;
+
+        for (var i = 0; i < skipSelectors.length; i++) {
+          var button = document.querySelector(skipSelectors[i]);
+
+          // YouTube Music plays ads audio-first with the player collapsed into
+          // the player bar, its skip button is never visible then
+          if (button && (button.offsetParent !== null || isYouTubeMusic())) {
+            button.click();
+            BlockingStats.add('skipButtonClicks');
+            Logger.debug('dom', 'Clicked skip button', { selector: skipSelectors[i] });
+            break;
+          }
+        }
+      },
+
+      /**
+       * Remove ad overlay elements from DOM
+       */
+      removeAdOverlays: function() {
+        var adOverlaySelectors = activeRules.overlays;
+
+        for (var i = 0; i < adOverlaySelectors.length; i++) {
+          var elements = document.querySelectorAll(adOverlaySelectors[i]);
+          for (var j = 0; j < elements.length; j++) {
+            elements[j].remove();
+          }
+          BlockingStats.add('overlaysRemoved', elements.length);
+
+          if (elements.length > 0) {
+            Logger.debug('dom', 'Removed ' + elements.length + ' ad overlays', { selector: adOverlaySelectors[i] });
+          }
+        }
+      },
+
+      /**
+       * Build the ad hiding stylesheet from the cosmetic rules of the enabled categories
+       * Blocks of categories unknown to config.annoyances are always included, blocks
+       * limited to surfaces only on pages whose PAGE_HANDLERS entry lists one of them
+       * @returns {string} CSS text
+       */
+      buildCosmeticCSS: function() {
+        var allowed = '[' + ALLOWED_ATTRIBUTE + ']';
+        var allowedScope = ':not(' + allowed + '):not(' + allowed + ' *)';
+        var surfaces = getPageHandlers().cosmetic;
+
+        var blocks = activeRules.cosmetic.filter(function(block) {
+          if (block.surfaces && !block.surfaces.some(function(surface) {
+            return surfaces.indexOf(surface) !== -1;
+          })) {
+            return false;
+          }
+          return config.annoyances[block.category || 'ads'] !== false;
+        });
+
+        // The aria-label rules above are English, add the page language's labels
+        var labels = getLocalizedAdLabels(getUiLanguage());
+        if (labels.length > 0 && config.annoyances.ads !== false) {
+          blocks.push({
+            comment: 'Elements labelled as ads in the page language',
+            selectors: labels.map(function(label) {
+              return '[aria-label="' + label.replace(/["\\]/g, '\\$&') + '" i]';
+            }),
+            declarations: ['display: none !important', 'visibility: hidden !important']
+          });
+        }
+
+        // Never hide anything on or inside elements of allowlisted channels.
+        // Engines without Selectors Level 4 :not() (older WebViews) would drop
+        // every block over it: they get the plain selectors, and allowlisted
+        // ads stay hidden there.
+        try {
+          document.querySelector(allowedScope);
+        } catch (e) {
+          allowedScope = '';
+        }
+
+        return blocks.map(function(block) {
+          return (block.comment ? '/* ' + block.comment + ' */\n' : '') +
+            block.selectors.map(function(selector) {
+              return selector + allowedScope;
+            }).join(',\n') + ' {\n' +
+            block.declarations.map(function(declaration) {
+              return '  ' + declaration + ';\n';
+            }).join('') +
+            '}\n';
+        }).join('\n');
+      },
+
+      /**
+       * Inject CSS for ad hiding (ENHANCED)
+       */
+      injectAdBlockingCSS: function() {
+        var language = getUiLanguage() || '';
+        var routeType = getRoute().type;
+        var existingStyle = document.getElementById('sg-youtube-ad-skipper-styles');
+        if (existingStyle) {
+          // Injected before the UI language was known: add its labels now.
+          // Navigated to another page type: switch to its surfaces.
+          if (existingStyle.getAttribute('data-sg-language') !== language ||
+              existingStyle.getAttribute('data-sg-route') !== routeType) {
+            existingStyle.setAttribute('data-sg-language', language);
+            existingStyle.setAttribute('data-sg-route', routeType);
+            existingStyle.textContent = this.buildCosmeticCSS();
+          }
+          return;
+        }
+
+        var style = document.createElement('style');
+        style.id = 'sg-youtube-ad-skipper-styles';
+        style.setAttribute('data-sg-language', language);
+        style.setAttribute('data-sg-route', routeType);
+        style.textContent = this.buildCosmeticCSS();
+
+        // Append to head or documentElement (for early injection)
+        var target = document.head || document.documentElement;
+        if (target) {
+          target.appendChild(style);
+        }
+      },
+
+      /**
+       * Re-apply the active rule list to the current page
+       * Called after the rules are replaced at runtime
+       */
+      applyRules: function() {
+        // Not running on a page (createBlocker({start: false})): nothing to update
+        if (!this.hasStarted) return;
+
+        var style = document.getElementById('sg-youtube-ad-skipper-styles');
+        if (style) {
+          style.textContent = this.buildCosmeticCSS();
+        }
+
+        if (this.feedObserver) {
+          this.removeExistingSponsoredContent();
+        }
+      },
+
+      /**
+       * Observe YouTube SPA navigation
+       */
+      observeYouTubeNavigation: function() {
+        var self = this;
+
+        // init() runs again on every navigation, only listen once
+        if (this.navigationObserved) return;
+        this.navigationObserved = true;
+
+        if (isMobileYouTube()) {
+          this.observeMobileNavigation();
+          return;
+        }
+
+        listen(window, 'yt-navigate-finish', function() {
+          if (self.isYouTubePage()) {
+            self.restart();
+          }
+        });
+
+        listen(window, 'popstate', function() {
+          if (self.isYouTubePage()) {
+            self.restart();
+          }
+        });
+      },
+
+      /**
+       * Follow m.youtube.com's router, which never fires yt-navigate-finish
+       * It fires state-navigateend once the new page is rendered. The router
+       * changes the URL before it renders, so history changes only restart
+       * after MOBILE_NAVIGATION_FALLBACK_MS, in case state-navigateend does not
+       * come. Several signals for one navigation restart once, when the URL
+       * actually changed.
+       */
+      observeMobileNavigation: function() {
+        var self = this;
+        var lastUrl = window.location.href;
+        var fallbackTimer = null;
+
+        function onNavigateEnd() {
+          if (fallbackTimer !== null) {
+            clearTimeout(fallbackTimer);
+            fallbackTimer = null;
+          }
+
+          if (window.location.href === lastUrl) return;
+          lastUrl = window.location.href;
+          self.restart();
+        }
+
+        function onHistoryChange() {
+          if (fallbackTimer !== null) clearTimeout(fallbackTimer);
+          fallbackTimer = setTimeout(onNavigateEnd, MOBILE_NAVIGATION_FALLBACK_MS);
+        }
+
+        listen(window, 'state-navigateend', onNavigateEnd);
+        listen(document, 'state-navigateend', onNavigateEnd);
+        listen(window, 'popstate', onHistoryChange);
+
+        ['pushState', 'replaceState'].forEach(function(name) {
+          var original = window.history[name];
+
+          patchMethod(window.history, name, function() {
+            var result = original.apply(this, arguments);
+            onHistoryChange();
+            return result;
+          });
+        });
+
+        onTeardown('mobile navigation timer', function() {
+          if (fallbackTimer !== null) clearTimeout(fallbackTimer);
+        });
+      },
+
+      /**
+       * Tear down observers and set everything up again for the current page
+       */
+      restart: function() {
+        this.cleanup();
+        this.isInitialized = false;
+
+        // An ad in progress is still ours to finish after a navigation: YouTube
+        // Music keeps playing, and on YouTube the player state saved when it
+        // started is restored once the next page's content plays
+        this.init();
+      },
+
+      /**
+       * Apply a configuration change to the running page
+       * Most options are read when used, layer switches and the detection
+       * mode and interval need Layers 3-5 to be restarted, annoyance
+       * categories only need the stylesheet rebuilt
+       * @param {Array<string>} changed - Names of the options that changed
+       */
+      applyConfig: function(changed) {
+        var needsRestart = changed.some(function(name) {
+          return name.indexOf('layers.') === 0 ||
+            name === 'detectionInterval' || name === 'detectionMode';
+        });
+        var categoriesChanged = changed.some(function(name) {
+          return name.indexOf('annoyances.') === 0;
+        });
+        // Metrics from the old mode would skew the comparison
+        if (changed.indexOf('detectionMode') !== -1) this.resetDetectionMetrics();
+
+        if (categoriesChanged && this.hasStarted) this.applyRules();
+
+        if (!needsRestart || !this.hasStarted) return;
+
+        // Skipping switched off mid-ad: give the user their video back
+        if (!config.layers.domSkipping && this.lastAdState) {
+          var video = this.getVideo();
+          if (video) this.restorePlayback(video);
+          this.lastAdState = false;
+        }
+
+        if (!config.layers.cosmetic) {
+          var style = document.getElementById('sg-youtube-ad-skipper-styles');
+          if (style) style.remove();
+        }
+
+        this.restart();
+      },
+
+      /**
+       * Check if current page is a YouTube page (any page that should have ad blocking)
+       */
+      isYouTubePage: function() {
+        var hostname = window.location.hostname;
+        var pathname = window.location.pathname;
+
+        // Check if we're on YouTube domain
+        if (!hostname || !isYouTubeHost(hostname)) {
+          return false;
+        }
+
+        // Allow ad blocking on all YouTube pages
+        return true;
+      },
+
+      /**
+       * Check if current page is a YouTube watch page (with or without a playlist)
+       */
+      isWatchPage: function() {
+        return getRoute().type === 'watch';
+      },
+
+      /**
+       * Check if current page is the Shorts player
+       */
+      isShortsPage: function() {
+        return getRoute().type === 'shorts';
+      },
+
+      /**
+       * Check if current page is an embedded player (youtube.com or youtube-nocookie.com)
+       */
+      isEmbedPage: function() {
+        return getRoute().type === 'embed';
+      },
+
+      /**
+       * Cleanup observers and intervals
+       */
+      cleanup: function() {
+        // Invalidate pending waitForPlayer() calls
+        this.generation++;
+
+        SegmentSkipper.detach();
+        EnforcementGuard.stop();
+        ShortsGuard.stop();
+        PlayerState.untrack();
+
+        if (this.observer) {
+          this.observer.disconnect();
+          this.observer = null;
+        }
+
+        if (this.adModuleObserver) {
+          this.adModuleObserver.disconnect();
+          this.adModuleObserver = null;
+        }
+
+        if (this.videoListeners) {
+          var listeners = this.videoListeners;
+          Object.keys(listeners.handlers).forEach(function(type) {
+            listeners.element.removeEventListener(type, listeners.handlers[type]);
+          });
+          this.videoListeners = null;
+        }
+
+        if (this.feedObserver) {
+          this.feedObserver.disconnect();
+          this.feedObserver = null;
+        }
+
+        if (this.checkInterval !== null) {
+          clearInterval(this.checkInterval);
+          this.checkInterval = null;
+        }
+
+        // Clear any pending debounced reflows
+        if (this._debouncedReflowTimeout) {
+          cancelLater(this._debouncedReflowTimeout);
+          this._debouncedReflowTimeout = null;
+        }
+      },
+
+      /**
+       * Destroy the ad skipper: give the user their video back and remove the
+       * stylesheet and the marks left on the page (listeners go with TEARDOWN)
+       */
+      destroy: function() {
+        if (this.lastAdState) {
+          var video = this.getVideo();
+          if (video) this.restorePlayback(video);
+          this.lastAdState = false;
+        }
+
+        this.cleanup();
+        this.isInitialized = false;
+        this.hasStarted = false;
+        this.navigationObserved = false;
+        this.route = null;
+
+        var style = document.getElementById('sg-youtube-ad-skipper-styles');
+        if (style) style.remove();
+
+        var marked = document.querySelectorAll('[' + ALLOWED_ATTRIBUTE + '], [data-sg-ad-removed]');
+        for (var i = 0; i < marked.length; i++) {
+          marked[i].removeAttribute(ALLOWED_ATTRIBUTE);
+          marked[i].removeAttribute('data-sg-ad-removed');
+        }
+      }
+    };
+
+    // =============================================================================
+    // SHORTS
+    // Fallback for ad reels that reach the Shorts player despite Layer 1: when the
+    // current reel holds an ad, move on in the direction the user was swiping,
+    // using the player's own navigation buttons so its position and URL stay in sync.
+    // =============================================================================
+
+    var ShortsGuard = {
+      observer: null,
+      pendingCheck: null,
+      scrollHandler: null,
+      lastIndex: null,   // Kept across restarts (Shorts navigation restarts Layer 3)
+      handledIndex: null,
+
+      /**
+       * Watch which reel is active and skip the ones with ads
+       */
+      start: function() {
+        var self = this;
+        if (this.observer) return;
+
+        // Batch bursts of mutations and scroll events into one check
+        var scheduleCheck = function() {
+          if (self.pendingCheck) return;
+          self.pendingCheck = setTimeout(function() {
+            self.pendingCheck = null;
+            self.check();
+          }, 50);
+        };
+        this.observer = new MutationObserver(scheduleCheck);
+
+        // The ad content of a reel can load after it became active
+        this.observer.observe(queryFirst(activeRules.shortsPlayers) || document.body, {
+          attributes: true,
+          attributeFilter: ['is-active'],
+          childList: true,
+          subtree: true
+        });
+
+        // The mobile web player marks no reel active, swiping only scrolls
+        this.scrollHandler = scheduleCheck;
+        document.addEventListener('scroll', this.scrollHandler, true);
+        this.check();
+      },
+
+      stop: function() {
+        if (this.observer) {
+          this.observer.disconnect();
+          this.observer = null;
+        }
+
+        if (this.scrollHandler) {
+          document.removeEventListener('scroll', this.scrollHandler, true);
+          this.scrollHandler = null;
+        }
+
+        if (this.pendingCheck) {
+          clearTimeout(this.pendingCheck);
+          this.pendingCheck = null;
+        }
+      },
+
+      /**
+       * Find the reel on screen: the one marked is-active on desktop, the one
+       * across the middle of the viewport on mobile web
+       * @param {NodeList} reels - The player's reels, in order
+       * @returns {number} Index of the reel on screen, -1 if none
+       */
+      findActiveReel: function(reels) {
+        var i;
+        for (i = 0; i < reels.length; i++) {
+          if (reels[i].hasAttribute('is-active')) return i;
+        }
+
+        var middle = window.innerHeight / 2;
+        for (i = 0; i < reels.length; i++) {
+          var rect = reels[i].getBoundingClientRect();
+          if (rect.height > 0 && rect.top <= middle && rect.bottom > middle) return i;
+        }
+        return -1;
+      },
+
+      /**
+       * Skip the active reel if it is an ad
+       * @returns {boolean} True if the reel was skipped
+       */
+      check: function() {
+        var reels = document.querySelectorAll(activeRules.shortsReels.join(', '));
+        var active = this.findActiveReel(reels);
+        if (active === -1) return false;
+
+        // Swiping up onto an ad goes on upwards, anything else goes down
+        var backwards = this.lastIndex !== null && active < this.lastIndex;
+        if (active !== this.lastIndex) {
+          this.handledIndex = null;
+        }
+        this.lastIndex = active;
+
+        var reel = reels[active];
+        if (this.handledIndex === active || !reel.querySelector(activeRules.shortsAdSelectors.join(', '))) {
+          return false;
+        }
+
+        // Allowlisted channel: let its ad play
+        if (ChannelAllowlist.isAllowed(ChannelAllowlist.findChannelInElement(reel))) {
+          return false;
+        }
+
+        // One attempt per visit, the first or last reel has nowhere to go
+        this.handledIndex = active;
+
+        var button = queryFirst(backwards ? activeRules.shortsPreviousButtons : activeRules.shortsNextButtons);
+        var neighbour = reels[backwards ? active - 1 : active + 1];
+
+        if (button) {
+          button.click();
+        } else if (neighbour) {
+          neighbour.scrollIntoView({ block: 'start' });
+        } else {
+          return false;
+        }
+
+        BlockingStats.add('videoAdsSkipped');
+        Logger.info('dom', 'Skipped Shorts ad', {
+          index: active,
+          direction: backwards ? 'up' : 'down'
+        });
+        ActivityEvents.emit('ad-skipped', {
+          layer: 'dom',
+          videoId: getCurrentVideoId(),
+          elementType: reel.tagName.toLowerCase(),
+          direction: backwards ? 'up' : 'down'
+        });
+        return true;
+      }
+    };
+
+    // =============================================================================
+    // PLAYER STATE
+    // Layer 3 mutes and speeds up the player to get through an ad. The user's
+    // settings are tracked while content plays, saved when an ad starts and put
+    // back when content resumes. The saved state is kept across ad pods and SPA
+    // navigation until content actually plays again.
+    // =============================================================================
+
+    var PlayerState = {
+      content: null,   // Last known state of content playback
+      saved: null,     // State to restore once the current ad is over
+      listeners: null, // {element, handlers} on the tracked video element
+
+      /**
+       * Read the player's current settings
+       * @param {HTMLVideoElement} video - The player's video element
+       * @param {HTMLElement} moviePlayer - The #movie_player element (player API)
+       * @returns {Object} Snapshot of rate, volume, mute, loop, quality, captions and pause state
+       */
+      capture: function(video, moviePlayer) {
+        var state = {
+          playbackRate: video.playbackRate,
+          volume: video.volume,
+          muted: video.muted,
+          loop: video.loop,
+          paused: video.paused,
+          quality: null,
+          captionsTrack: null
+        };
+
+        try {
+          if (typeof moviePlayer.getPreferredQuality === 'function') {
+            state.quality = moviePlayer.getPreferredQuality();
+          }
+          if (typeof moviePlayer.getOption === 'function') {
+            state.captionsTrack = moviePlayer.getOption('captions', 'track') || {};
+          }
+        } catch (e) {
+          Logger.debug('dom', 'Could not read player API state', { error: e });
+        }
+
+        return state;
+      },
+
+      /**
+       * Update the content state, unless an ad is playing
+       * @param {HTMLVideoElement} video - The player's video element
+       * @param {HTMLElement} moviePlayer - The #movie_player element
+       */
+      remember: function(video, moviePlayer) {
+        if (this.saved || moviePlayer.classList.contains('ad-showing') ||
+            moviePlayer.classList.contains('ad-interrupting')) {
+          return;
+        }
+        this.content = this.capture(video, moviePlayer);
+      },
+
+      /**
+       * Follow setting changes the user makes between checks
+       * @param {HTMLVideoElement} video - The player's video element
+       * @param {HTMLElement} moviePlayer - The #movie_player element
+       */
+      track: function(video, moviePlayer) {
+        var self = this;
+        this.untrack();
+        this.remember(video, moviePlayer);
+
+        this.listeners = { element: video, handlers: {} };
+        ['ratechange', 'volumechange', 'pause', 'play'].forEach(function(type) {
+          var handler = function() {
+            if (!self.saved) {
+              self.remember(video, moviePlayer);
+              return;
+            }
+
+            // During an ad only the user's play/pause intent is recorded. Reaching
+            // the end of a skipped ad and source switches pause the video too.
+            if (type === 'play') {
+              self.saved.paused = false;
+            } else if (type === 'pause' && !video.ended && video.readyState >= 2 &&
+                !(video.duration && video.currentTime >= video.duration - 0.5)) {
+              self.saved.paused = true;
+            }
+          };
+          self.listeners.handlers[type] = handler;
+          video.addEventListener(type, handler);
+        });
+      },
+
+      untrack: function() {
+        if (!this.listeners) return;
+
+        var listeners = this.listeners;
+        Object.keys(listeners.handlers).forEach(function(type) {
+          listeners.element.removeEventListener(type, listeners.handlers[type]);
+        });
+        this.listeners = null;
+      },
+
+      /**
+       * Save the content state when an ad starts
+       * A state saved earlier in the same pod (or before a navigation) is kept
+       * @param {HTMLVideoElement} video - The player's video element
+       * @param {HTMLElement} moviePlayer - The #movie_player element
+       */
+      save: function(video, moviePlayer) {
+        if (this.saved) return;
+
+        // The ad may have changed the video element already, prefer the state
+        // tracked while content played
+        var state = this.content || this.capture(video, moviePlayer);
+        this.saved = JSON.parse(JSON.stringify(state));
+
+        // Ads start while content plays (or is about to autoplay)
+        this.saved.paused = false;
+      },
+
+      /**
+       * Put the saved state back on the player
+       * @param {HTMLVideoElement} video - The player's video element
+       * @param {HTMLElement} [moviePlayer] - The #movie_player element
+       */
+      restore: function(video, moviePlayer) {
+        var state = this.saved || this.content;
+        this.saved = null;
+
+        if (!state) {
+          // Nothing tracked (ad already playing at startup): undo our own changes
+          video.muted = false;
+          video.playbackRate = 1;
+        } else {
+          video.playbackRate = state.playbackRate;
+          video.volume = state.volume;
+          video.muted = state.muted;
+          video.loop = state.loop;
+
+          if (moviePlayer) {
+            this.restorePlayerApi(moviePlayer, state);
+          }
+          Logger.debug('dom', 'Restored player state', state);
+        }
+
+        if (state && state.paused) {
+          if (!video.paused) video.pause();
+          return;
+        }
+
+        // Auto-resume playback
+        setTimeout(function() {
+          if (video.paused) {
+            video.play().catch(function() {
+              // Ignore autoplay errors
+            });
+          }
+        }, config.resumeDelay);
+      },
+
+      /**
+       * Sync the player API (and with it the player's controls) with a saved state
+       * @param {HTMLElement} moviePlayer - The #movie_player element
+       * @param {Object} state - Snapshot from capture()
+       */
+      restorePlayerApi: function(moviePlayer, state) {
+        try {
+          if (typeof moviePlayer.setPlaybackRate === 'function') {
+            moviePlayer.setPlaybackRate(state.playbackRate);
+          }
+
+          // YouTube Music's player bar reads the mute state from the player API
+          if (!state.muted && typeof moviePlayer.unMute === 'function') {
+            moviePlayer.unMute();
+          } else if (state.muted && typeof moviePlayer.mute === 'function') {
+            moviePlayer.mute();
+          }
+
+          if (state.quality && state.quality !== 'auto' &&
+              typeof moviePlayer.setPlaybackQualityRange === 'function') {
+            moviePlayer.setPlaybackQualityRange(state.quality, state.quality);
+          }
+
+          if (state.captionsTrack && typeof moviePlayer.setOption === 'function' &&
+              typeof moviePlayer.getOption === 'function') {
+            var current = moviePlayer.getOption('captions', 'track') || {};
+            if (current.languageCode !== state.captionsTrack.languageCode) {
+              moviePlayer.setOption('captions', 'track', state.captionsTrack);
+            }
+          }
+        } catch (e) {
+          Logger.debug('dom', 'Could not restore player API state', { error: e });
+        }
+      }
+    };
+
+    // =============================================================================
+    // ANTI-ADBLOCK ENFORCEMENT
+    // Handles YouTube's "Ad blockers are not allowed" enforcement in two steps:
+    // 1. Strips the enforcement renderers from player and next responses
+    // 2. DOM fallback: dismisses the popup, removes its backdrop, resumes the
+    //    playback it paused
+    // Every encounter is counted and reported to the host ('enforcement-detected'),
+    // a rising count means YouTube found a way around the data stripping.
+    // =============================================================================
+
+    /**
+     * Count an enforcement encounter and tell the host
+     * @param {string} source - 'data' or 'dom'
+     * @param {string} [endpoint] - Response it was found in, for 'data'
+     */
+    function reportEnforcement(source, endpoint) {
+      BlockingStats.add('enforcementDetected');
+      Logger.warn('enforcement', 'Anti-adblock enforcement detected (' + source + ')', {
+        endpoint: endpoint || null
+      });
+      NativeBridge.send('enforcement-detected', {
+        source: source,
+        endpoint: endpoint || null,
+        videoId: getCurrentVideoId(),
+        url: window.location.href
+      });
+    }
+
+    /**
+     * Cheap check of a response's text before it is parsed
+     * @param {string} text - Response body
+     * @returns {boolean} True if it names an enforcement renderer
+     */
+    function mentionsEnforcement(text) {
+      return activeRules.enforcementRenderers.some(function(renderer) {
+        return text.indexOf(renderer) !== -1;
+      });
+    }
+
+    /**
+     * Remove enforcement renderers from a player or next response
+     * Only the known container keys are searched; array entries holding an
+     * enforcement renderer (e.g. an openPopupAction) are removed as a whole
+     * @param {Object} data - Player or next response
+     * @param {string} [endpoint] - Where the data came from, for reporting
+     * @returns {Object} The cleaned data
+     */
+    function stripEnforcement(data, endpoint) {
+      if (!data || typeof data !== 'object') return data;
+
+      var renderers = activeRules.enforcementRenderers;
+      var removed = 0;
+
+      function contains(node, depth) {
+        if (!node || typeof node !== 'object' || depth > 10) return false;
+
+        var keys = Object.keys(node);
+        for (var i = 0; i < keys.length; i++) {
+          if (renderers.indexOf(keys[i]) !== -1 || contains(node[keys[i]], depth + 1)) return true;
+        }
+        return false;
+      }
+
+      function strip(node, depth) {
+        if (!node || typeof node !== 'object' || depth > 10) return;
+
+        if (Array.isArray(node)) {
+          for (var i = node.length - 1; i >= 0; i--) {
+            if (contains(node[i], 0)) {
+              node.splice(i, 1);
+              removed++;
+            }
+          }
+          return;
+        }
+
+        var keys = Object.keys(node);
+        for (var j = 0; j < keys.length; j++) {
+          if (renderers.indexOf(keys[j]) !== -1) {
+            delete node[keys[j]];
+            removed++;
+          } else {
+            strip(node[keys[j]], depth + 1);
+          }
+        }
+      }
+
+      activeRules.enforcementContainers.forEach(function(key) {
+        if (data[key]) strip(data[key], 0);
+      });
+
+      if (removed > 0) {
+        reportEnforcement('data', endpoint);
+      }
+
+      return data;
+    }
+
+    // The popup's parent, created lazily as a child of ytd-app
+    var POPUP_CONTAINER = 'ytd-popup-container';
+
+    // A pause this close to the popup (ms) is the enforcement's, not the user's
+    var ENFORCEMENT_PAUSE_WINDOW_MS = 2000;
+
+    var EnforcementGuard = {
+      observer: null,
+      container: null,    // Observed ytd-popup-container, null while waiting for it
+      pendingCheck: null,
+      lastPauseAt: 0,
+      onPause: null,
+
+      /**
+       * Watch for the enforcement popup and dismiss it when it appears
+       */
+      start: function() {
+        var self = this;
+        if (this.observer) return;
+
+        this.observer = new MutationObserver(function() {
+          if (!self.container) self.observe();
+
+          // Batch bursts of mutations into one check
+          if (self.pendingCheck) return;
+          self.pendingCheck = setTimeout(function() {
+            self.pendingCheck = null;
+            self.dismiss();
+          }, 50);
+        });
+
+        // Media events do not bubble, catch them on the way down
+        this.onPause = function() {
+          self.lastPauseAt = now();
+        };
+        document.addEventListener('pause', this.onPause, true);
+
+        this.observe();
+        this.dismiss();
+      },
+
+      /**
+       * Observe the popup container, or only ytd-app's children until it
+       * exists, rather than every mutation of the page
+       */
+      observe: function() {
+        var container = document.querySelector(POPUP_CONTAINER);
+
+        this.observer.disconnect();
+        this.container = container;
+        if (container) {
+          this.observer.observe(container, { childList: true, subtree: true });
+        } else {
+          this.observer.observe(document.querySelector('ytd-app') || document.body, { childList: true });
+        }
+      },
+
+      stop: function() {
+        if (this.observer) {
+          this.observer.disconnect();
+          this.observer = null;
+          this.container = null;
+        }
+
+        if (this.onPause) {
+          document.removeEventListener('pause', this.onPause, true);
+          this.onPause = null;
+        }
+
+        if (this.pendingCheck) {
+          clearTimeout(this.pendingCheck);
+          this.pendingCheck = null;
+        }
+      },
+
+      /**
+       * Remove the enforcement popup and its backdrop, then resume the video
+       * @returns {boolean} True if a popup was found
+       */
+      dismiss: function() {
+        var popup = document.querySelector(activeRules.enforcementSelectors.join(', '));
+        if (!popup) return false;
+
+        // Remove the whole dialog so YouTube's focus trap goes with it
+        var dialog = popup.closest('tp-yt-paper-dialog') || popup;
+        if (typeof dialog.close === 'function') {
+          try {
+            dialog.close();
+          } catch (e) {
+            // Not a paper-dialog instance, removing it below is enough
+          }
+        }
+        dialog.remove();
+
+        var backdrops = document.querySelectorAll(activeRules.enforcementBackdrops.join(', '));
+        for (var i = 0; i < backdrops.length; i++) {
+          backdrops[i].remove();
+        }
+
+        // The enforcement pauses the video, resume it. A video the user had
+        // paused before the popup came stays paused.
+        var video = document.querySelector('.video-stream');
+        if (video && video.paused && now() - this.lastPauseAt < ENFORCEMENT_PAUSE_WINDOW_MS) {
+          video.play().catch(function() {
+            // Ignore autoplay errors
+          });
+        }
+
+        reportEnforcement('dom');
+        return true;
+      }
+    };
+
+    // =============================================================================
+    // PAGE ROUTES
+    // Every page (and every SPA navigation) is classified into a page type, and
+    // the type picks the work Layers 3-5 do there: player ad handling, sponsor
+    // segments, the Shorts guard, feed cleanup, and which surfaces of the
+    // cosmetic rules ('player', 'feed') go into the stylesheet.
+    // =============================================================================
+
+    // player: ad detection in the page's player, segments: sponsor segment skipping,
+    // shorts: ShortsGuard, feed: feed ad monitoring, cosmetic: surfaces of the CSS.
+    // Browse pages keep the player surface for the miniplayer, Shorts the feed
+    // surface for ad reels (rendered with ytd-ad-slot-renderer, ad-badge-view-model).
+    var PAGE_HANDLERS = {
+      watch:    { player: true,  segments: true,  shorts: false, feed: true,  cosmetic: ['player', 'feed'] },
+      live:     { player: true,  segments: false, shorts: false, feed: true,  cosmetic: ['player', 'feed'] },
+      shorts:   { player: false, segments: false, shorts: true,  feed: false, cosmetic: ['player', 'feed'] },
+      embed:    { player: true,  segments: true,  shorts: false, feed: false, cosmetic: ['player'] },
+      channel:  { player: true,  segments: true,  shorts: false, feed: true,  cosmetic: ['player', 'feed'] },
+      playlist: { player: false, segments: false, shorts: false, feed: true,  cosmetic: ['player', 'feed'] },
+      feed:     { player: false, segments: false, shorts: false, feed: true,  cosmetic: ['player', 'feed'] },
+      music:    { player: true,  segments: true,  shorts: false, feed: true,  cosmetic: ['player', 'feed'] },
+      other:    { player: false, segments: false, shorts: false, feed: true,  cosmetic: ['player', 'feed'] }
+    };
+
+    // How long init() waits for the player (ms). A channel page only has one
+    // when it shows a trailer, which renders with the page.
+    var PLAYER_WAIT_MS = { channel: 10000, other: 60000 };
+
+    // How long after a history change on m.youtube.com init() runs again if the
+    // router does not fire state-navigateend (ms)
+    var MOBILE_NAVIGATION_FALLBACK_MS = 1000;
 
-      // Update state for next check
-      this.lastAdState = isNowInAd;
-    },
+    var CHANNEL_PATH = /^\/(?:@[^/]+|channel\/[\w-]+|c\/[^/]+|user\/[^/]+)(?:\/|$)/;
 
     /**
-     * Click skip ad button
+     * Decode a query parameter, kept as it is if its escapes are malformed
+     * (e.g. ?v=%): any URL can be opened, a bad one must not stop the blocker
+     * @param {string} value - Raw parameter value
+     * @returns {string} Decoded value
      */
-    clickSkipButton: function() {
-      var skipSelectors = [
-        '.ytp-ad-skip-button',
-        '.ytp-ad-skip-button-modern',
-        '.ytp-skip-ad-button'
-      ];
+    function decodeParam(value) {
+      try {
+        return decodeURIComponent(value);
+      } catch (e) {
+        return value;
+      }
+    }
 
-      for (var i = 0; i < skipSelectors.length; i++) {
-        var button = document.querySelector(skipSelectors[i]);
-        if (button && button.offsetParent !== null) {
-          button.click();
-          break;
-        }
+    /**
+     * Classify a URL into a page type of PAGE_HANDLERS
+     * Paths are the same on www, m and youtube-nocookie; YouTube Music plays on
+     * every page, so all of it is 'music'.
+     * @param {{hostname: string, pathname: string, search: string}} location - e.g. window.location
+     * @returns {{type: string, videoId: string|null, playlistId: string|null}} The route
+     */
+    function classifyRoute(location) {
+      var pathname = location.pathname || '/';
+      var search = location.search || '';
+      var videoMatch = search.match(/[?&]v=([^&#]+)/);
+      var listMatch = search.match(/[?&]list=([^&#]+)/);
+      var route = {
+        type: 'other',
+        videoId: videoMatch ? decodeParam(videoMatch[1]) : null,
+        playlistId: listMatch ? decodeParam(listMatch[1]) : null
+      };
+
+      var pathMatch = pathname.match(/^\/(embed|shorts|live)\/([\w-]+)(?:[/?#]|$)/);
+
+      if (location.hostname === 'music.youtube.com') {
+        route.type = 'music';
+      } else if (pathMatch) {
+        route.type = pathMatch[1];
+        // /embed/videoseries?list= plays a playlist, not a video
+        if (pathMatch[2] !== 'videoseries') route.videoId = pathMatch[2];
+      } else if (pathname === '/watch' && (route.videoId || route.playlistId)) {
+        route.type = 'watch';
+      } else if (CHANNEL_PATH.test(pathname)) {
+        // A channel's current live stream is served under the channel URL
+        route.type = /^\/[^/]+(?:\/[^/]+)?\/live\/?$/.test(pathname) ? 'live' : 'channel';
+      } else if (pathname === '/playlist') {
+        route.type = 'playlist';
+      } else if (pathname === '/' || pathname === '/results' ||
+          /^\/(?:feed|hashtag|gaming)(?:\/|$)/.test(pathname)) {
+        route.type = 'feed';
       }
-    },
+
+      return route;
+    }
 
     /**
-     * Remove ad overlay elements from DOM
+     * The window's location, or an empty one where there is none: the detection
+     * helpers of createBlocker({start: false}) also run outside a browser
+     * @returns {Location|Object} {href, origin, hostname, pathname, search}
      */
-    removeAdOverlays: function() {
-      var adOverlaySelectors = [
-        '.ytp-ad-overlay-container',
-        '.ytp-ad-text-overlay',
-        '.ytp-ad-image-overlay',
-        '.ytp-ad-player-overlay-flyout-cta',
-        '.ytp-ad-overlay-close-container'
-      ];
+    function getLocation() {
+      return window.location || { href: '', origin: '', hostname: '', pathname: '/', search: '' };
+    }
+
+    /**
+     * @returns {{type: string, videoId: string|null, playlistId: string|null}} Route of the current page
+     */
+    function getRoute() {
+      return classifyRoute(getLocation());
+    }
+
+    /**
+     * @returns {Object} The PAGE_HANDLERS entry of the current page
+     */
+    function getPageHandlers() {
+      return PAGE_HANDLERS[getRoute().type];
+    }
+
+    /**
+     * Check if a hostname serves YouTube pages the blocker runs on
+     * @param {string} hostname - e.g. www.youtube.com, m.youtube.com, www.youtube-nocookie.com
+     * @returns {boolean} True for youtube.com, youtube-nocookie.com and their subdomains
+     */
+    function isYouTubeHost(hostname) {
+      return /(^|\.)youtube(-nocookie)?\.com$/.test(hostname);
+    }
+
+    /**
+     * Check if the page is YouTube Music (ytmusic-* components, player on every page)
+     * @returns {boolean} True on music.youtube.com
+     */
+    function isYouTubeMusic() {
+      return getLocation().hostname === 'music.youtube.com';
+    }
+
+    /**
+     * Check if the page is mobile web YouTube (ytm-* components, own router)
+     * @returns {boolean} True on m.youtube.com
+     */
+    function isMobileYouTube() {
+      return getLocation().hostname === 'm.youtube.com';
+    }
+
+    /**
+     * @param {Array<string>} selectors - Tried in order
+     * @returns {Element|null} The first element matching the first selector that matches
+     */
+    function queryFirst(selectors) {
+      for (var i = 0; i < selectors.length; i++) {
+        var element = document.querySelector(selectors[i]);
+        if (element) return element;
+      }
+      return null;
+    }
+
+    /**
+     * Find the elements matching a selector in some subtrees, roots included
+     * @param {Array<Element>} [roots] - Subtrees to search, the whole document if omitted
+     * @param {string} selector - CSS selector
+     * @returns {Array<Element>} Matching elements, each once
+     */
+    function queryAllIn(roots, selector) {
+      if (!roots) return Array.prototype.slice.call(document.querySelectorAll(selector));
+
+      var found = [];
+      function add(element) {
+        if (found.indexOf(element) === -1) found.push(element);
+      }
+
+      for (var i = 0; i < roots.length; i++) {
+        if (!roots[i].isConnected) continue;
+        if (roots[i].matches(selector)) add(roots[i]);
+        Array.prototype.forEach.call(roots[i].querySelectorAll(selector), add);
+      }
+      return found;
+    }
+
+    /**
+     * Get the ID of the video on the current watch page
+     * On YouTube Music, where playback goes on across pages, and where the URL
+     * has no ID (channel trailers, /@channel/live) the player knows it
+     * @returns {string|null} Video ID
+     */
+    function getCurrentVideoId() {
+      var route = getRoute();
+      if (route.videoId) return route.videoId;
+
+      // No ID in the URL (YouTube Music, channel trailers, /@channel/live): ask the player
+      if (route.type === 'music' || route.type === 'channel' || route.type === 'live') {
+        var moviePlayer = YouTubeAdSkipper.getMoviePlayer();
+        var videoData = moviePlayer && typeof moviePlayer.getVideoData === 'function' ?
+          moviePlayer.getVideoData() : null;
+        return videoData && videoData.video_id ? videoData.video_id : null;
+      }
+
+      return null;
+    }
+
+    // =============================================================================
+    // LAYER 5: SPONSOR SEGMENT SKIPPING
+    // Skips, mutes or marks creator-embedded segments (sponsor reads, self-promo,
+    // intros) in the same .video-stream element Layer 3 watches. Segments come from
+    // a pluggable provider: any object with getSegments(videoId) returning an array
+    // (or a Promise of one) of {start, end, category} in seconds.
+    // Built-in providers: memory, json (local JSON file) and native (host bridge).
+    // =============================================================================
+
+    // Progress bar marker colors per category
+    var SEGMENT_COLORS = {
+      sponsor: '#00d400',
+      selfpromo: '#ffff00',
+      interaction: '#cc00ff',
+      intro: '#00ffff',
+      outro: '#0202ed',
+      preview: '#008fd6',
+      filler: '#7300ff',
+      music_offtopic: '#ff9900'
+    };
+
+    // How long to wait for the host to answer a native segment request (ms)
+    var NATIVE_SEGMENT_TIMEOUT = 5000;
+
+    /**
+     * Keep only well-formed segments, sorted by start time
+     * @param {Array} segments - Segments from a provider
+     * @returns {Array<{start: number, end: number, category: string}>} Valid segments
+     */
+    function normalizeSegments(segments) {
+      if (!Array.isArray(segments)) return [];
+
+      return segments.filter(function(segment) {
+        return segment &&
+          typeof segment.start === 'number' &&
+          typeof segment.end === 'number' &&
+          segment.end > segment.start &&
+          typeof segment.category === 'string';
+      }).map(function(segment) {
+        return { start: segment.start, end: segment.end, category: segment.category };
+      }).sort(function(a, b) {
+        return a.start - b.start;
+      });
+    }
 
-      for (var i = 0; i < adOverlaySelectors.length; i++) {
-        var elements = document.querySelectorAll(adOverlaySelectors[i]);
-        for (var j = 0; j < elements.length; j++) {
-          elements[j].remove();
-        }
-      }
-    },
-
-    /**
-     * Inject CSS for ad hiding (ENHANCED)
-     */
-    injectAdBlockingCSS: function() {
-      var existingStyle = document.getElementById('sg-youtube-ad-skipper-styles');
-      if (existingStyle) return;
-
-      var style = document.createElement('style');
-      style.id = 'sg-youtube-ad-skipper-styles';
-      style.textContent =
-        '/* Hide ad-related elements */\n' +
-        '.ad-showing .video-ads,\n' +
-        '.ad-showing .ytp-ad-module,\n' +
-        '.ad-showing .ytp-ad-player-overlay,\n' +
-        '.ad-interrupting .video-ads,\n' +
-        '.ad-interrupting .ytp-ad-module,\n' +
-        '.ad-interrupting .ytp-ad-player-overlay {\n' +
-        '  display: none !important;\n' +
-        '  visibility: hidden !important;\n' +
-        '}\n' +
-        '\n' +
-        '/* Hide YouTube ad renderers */\n' +
-        'ytd-display-ad-renderer,\n' +
-        'ytd-video-masthead-ad-v3-renderer,\n' +
-        'ytd-promoted-sparkles-web-renderer,\n' +
-        'ytd-compact-promoted-video-renderer,\n' +
-        'ytd-promoted-video-renderer,\n' +
-        'ytd-banner-promo-renderer,\n' +
-        'ytd-action-companion-ad-renderer {\n' +
-        '  display: none !important;\n' +
-        '}\n' +
-        '\n' +
-        '/* 2024 YouTube ad selectors - Home Feed, Search, and Browse */\n' +
-        '.ytd-search-pyv-renderer,\n' +                    // Search result promoted videos
-        '.ytd-merch-shelf-renderer,\n' +                   // Merchandise shelves (promotional)
-        '.ad-container,\n' +                              // General ad containers
-        '#player-ads,\n' +                                // Player area ads
-        '.ytp-ad-overlay-container,\n' +                  // Ad overlay containers
-        'YTM-PROMOTED-VIDEO-RENDERER,\n' +               // Mobile promoted videos
-        '.iv-promo,\n' +                                 // In-video promotions
-        '.companion-ad {\n' +                             // Companion ads
-        '  display: none !important;\n' +
-        '  visibility: hidden !important;\n' +
-        '}\n' +
-        '\n' +
-        '/* Additional ad containers and overlays */\n' +
-        '.video-ads,\n' +
-        '.ytp-ad-progress-list,\n' +
-        '.ytd-single-option-survey-renderer,\n' +          // Promotional surveys
-        '[data-ad-impression],\n' +                      // Elements with ad tracking
-        '[aria-label*="ad"],\n' +                       // Elements with ad in aria-label
-        '[aria-label*="Ad"],\n' +                       // Elements with Ad in aria-label
-        '[aria-label*="sponsored"],\n' +                 // Elements with sponsored in aria-label
-        '[aria-label*="Sponsored"] {\n' +                 // Elements with Sponsored in aria-label
-        '  display: none !important;\n' +
-        '  visibility: hidden !important;\n' +
-        '}\n' +
-        '\n' +
-        '/* Skip ad button container */\n' +
-        '.ytp-ad-skip-button-container {\n' +
-        '  display: none !important;\n' +
-        '}\n' +
-        '\n' +
-        '/* Modern YouTube Ad Containers (December 2025) */\n' +
-        'ytd-ad-slot-renderer,\n' +
-        'ytd-in-feed-ad-layout-renderer,\n' +
-        'ad-badge-view-model,\n' +
-        'ytd-rich-item-renderer:has(> #content > ytd-ad-slot-renderer),\n' +
-        'ytd-item-section-renderer:has(ytd-ad-slot-renderer),\n' +
-        'ytd-video-masthead-ad-primary-video-renderer,\n' +
-        'ytd-statement-banner-renderer,\n' +
-        'ytd-banner-promo-renderer,\n' +
-        'ytd-in-feed-ad-layout-renderer,\n' +
-        'ytd-primetime-promo-renderer {\n' +
-        '  display: none !important;\n' +
-        '  visibility: hidden !important;\n' +
-        '  height: 0 !important;\n' +
-        '  margin: 0 !important;\n' +
-        '  padding: 0 !important;\n' +
-        '}\n' +
-        '\n' +
-        '/* Force grid to collapse when items are removed */\n' +
-        'ytd-rich-grid-renderer {\n' +
-        '  grid-auto-rows: minmax(0, auto) !important;\n' +
-        '}\n' +
-        '\n' +
-        '/* Hide empty rich sections completely */\n' +
-        'ytd-rich-section-renderer:empty,\n' +
-        'ytd-rich-section-renderer:has(> #content:empty) {\n' +
-        '  display: none !important;\n' +
-        '  height: 0 !important;\n' +
-        '  margin: 0 !important;\n' +
-        '}\n' +
-        '\n' +
-        '/* Mark items for cleanup with data attribute */\n' +
-        'ytd-rich-item-renderer[data-sg-ad-removed] {\n' +
-        '  display: none !important;\n' +
-        '  height: 0 !important;\n' +
-        '  margin: 0 !important;\n' +
-        '  padding: 0 !important;\n' +
-        '}';
-
-      // Append to head or documentElement (for early injection)
-      var target = document.head || document.documentElement;
-      if (target) {
-        target.appendChild(style);
-      }
-    },
-
-    /**
-     * Observe YouTube SPA navigation
-     */
-    observeYouTubeNavigation: function() {
-      var self = this;
-
-      window.addEventListener('yt-navigate-finish', function() {
-        if (self.isYouTubePage()) {
-          self.cleanup();
-          self.isInitialized = false;
-          self.lastAdState = false; // Reset state for new page
-          self.init();
+    /**
+     * In-memory segment store
+     * @param {Object} [initial] - Map of video ID to segments
+     * @returns {Object} Provider with set(videoId, segments) and clear()
+     */
+    function createMemorySegmentProvider(initial) {
+      var store = {};
+
+      var provider = {
+        name: 'memory',
+        getSegments: function(videoId) {
+          return store[videoId] || [];
+        },
+        set: function(videoId, segments) {
+          store[videoId] = normalizeSegments(segments);
+        },
+        clear: function() {
+          store = {};
         }
+      };
+
+      Object.keys(initial || {}).forEach(function(videoId) {
+        provider.set(videoId, initial[videoId]);
       });
 
-      window.addEventListener('popstate', function() {
-        if (self.isYouTubePage()) {
-          self.cleanup();
-          self.isInitialized = false;
-          self.lastAdState = false; // Reset state for new page
-          self.init();
+      return provider;
+    }
+
+    /**
+     * Segments from a local JSON file shaped like {"<videoId>": [segments]}
+     * The file is fetched once and kept in memory
+     * @param {string} url - File URL (e.g. chrome-extension://.../segments.json)
+     * @returns {Object} Provider
+     */
+    function createJsonSegmentProvider(url) {
+      var loading = null;
+
+      return {
+        name: 'json',
+        getSegments: function(videoId) {
+          if (!loading) {
+            // Go around our own fetch() hook, this is not a YouTube request
+            loading = (originalFetch || window.fetch).call(window, url).then(function(response) {
+              return response.json();
+            }).catch(function(error) {
+              reportError('segments', 'Failed to load segment file ' + url, error);
+              loading = null;
+              return {};
+            });
+          }
+
+          return loading.then(function(data) {
+            return (data && data[videoId]) || [];
+          });
+        }
+      };
+    }
+
+    // Native segment requests waiting for the host, by request ID. There is one
+    // 'provide-segments' command for every native provider ever created, so an
+    // answer reaches the request it is for even after the provider was replaced.
+    var NativeSegmentRequests = {
+      pending: {},
+      nextId: 1,
+
+      /**
+       * Ask the host for the segments of a video
+       * @param {string} videoId - Video ID
+       * @returns {Promise<Array>} Segments, empty if the host does not answer in time
+       */
+      request: function(videoId) {
+        var self = this;
+        var requestId = 'segments-' + (this.nextId++);
+
+        return new Promise(function(resolve) {
+          var timeout = setTimeout(function() {
+            delete self.pending[requestId];
+            resolve([]);
+          }, NATIVE_SEGMENT_TIMEOUT);
+
+          self.pending[requestId] = {
+            videoId: videoId,
+            resolve: function(segments) {
+              clearTimeout(timeout);
+              resolve(segments);
+            }
+          };
+
+          NativeBridge.send('segments-request', { requestId: requestId, videoId: videoId });
+        });
+      },
+
+      /**
+       * Resolve the request an answer is for; answers without a request ID
+       * (older hosts) resolve every request for their video
+       * @param {Object} payload - {requestId?, videoId, segments}
+       * @returns {number} Requests resolved
+       */
+      deliver: function(payload) {
+        var self = this;
+        var requestIds = payload.requestId ? [payload.requestId] :
+          Object.keys(this.pending).filter(function(requestId) {
+            return self.pending[requestId].videoId === payload.videoId;
+          });
+
+        return requestIds.filter(function(requestId) {
+          var request = self.pending[requestId];
+          if (!request) return false;
+
+          delete self.pending[requestId];
+          request.resolve(payload.segments);
+          return true;
+        }).length;
+      }
+    };
+
+    /**
+     * Segments supplied by the host over the bridge
+     * Sends 'segments-request' {requestId, videoId}, the host answers with the
+     * 'provide-segments' command {requestId, videoId, segments}
+     * @returns {Object} Provider
+     */
+    function createNativeSegmentProvider() {
+      return {
+        name: 'native',
+        getSegments: function(videoId) {
+          return NativeSegmentRequests.request(videoId);
+        }
+      };
+    }
+
+    var SegmentSkipper = {
+      provider: null,
+      video: null,
+      videoId: null,
+      segments: [],
+      mutedBySegment: null,
+      userSeekedInto: null,
+      lastTime: 0,
+      listeners: null,
+      request: 0,
+
+      /**
+       * Use a segment provider, replacing the current one
+       * @param {Object|null} provider - Object with getSegments(videoId)
+       */
+      setProvider: function(provider) {
+        if (provider && typeof provider.getSegments !== 'function') {
+          throw new TypeError('Segment provider needs a getSegments(videoId) method');
+        }
+
+        this.provider = provider;
+
+        // Reload segments for the video that is already playing
+        if (this.video) {
+          this.attach(this.video, this.videoId);
+        }
+      },
+
+      /**
+       * Start watching a video element for the given video
+       * @param {HTMLVideoElement} video - The player's video element
+       * @param {string} videoId - ID of the content video
+       */
+      attach: function(video, videoId) {
+        var self = this;
+        this.detach();
+        if (!video || !videoId) return;
+
+        this.video = video;
+        this.videoId = videoId;
+        this.lastTime = video.currentTime || 0;
+
+        this.listeners = {
+          timeupdate: function() { self.checkSegments(); },
+          seeked: function() { self.handleSeek(); },
+          durationchange: function() { self.renderMarkers(); }
+        };
+
+        Object.keys(this.listeners).forEach(function(type) {
+          video.addEventListener(type, self.listeners[type]);
+        });
+
+        if (!this.provider) return;
+
+        // Ignore answers that arrive after the next navigation
+        var request = ++this.request;
+        Promise.resolve(this.provider.getSegments(videoId)).then(function(segments) {
+          if (request !== self.request) return;
+          self.segments = normalizeSegments(segments);
+          self.renderMarkers();
+        }).catch(function(error) {
+          reportError('segments', 'Segment provider failed for ' + videoId, error);
+        });
+      },
+
+      /**
+       * Stop watching the current video and remove the markers
+       */
+      detach: function() {
+        var self = this;
+        this.request++;
+
+        if (this.video && this.listeners) {
+          Object.keys(this.listeners).forEach(function(type) {
+            self.video.removeEventListener(type, self.listeners[type]);
+          });
+        }
+
+        this.restoreMute();
+        this.removeMarkers();
+        this.video = null;
+        this.videoId = null;
+        this.segments = [];
+        this.listeners = null;
+        this.userSeekedInto = null;
+      },
+
+      /**
+       * Whether the player is currently showing a YouTube ad
+       * Segment times refer to the content video, never act during ads
+       * @returns {boolean} True during ads
+       */
+      isAdPlaying: function() {
+        var moviePlayer = document.getElementById('movie_player');
+        return !!moviePlayer && (
+          moviePlayer.classList.contains('ad-showing') ||
+          moviePlayer.classList.contains('ad-interrupting')
+        );
+      },
+
+      /**
+       * Find the segment containing a time, honoring the category settings
+       * @param {number} time - Time in seconds
+       * @returns {Object|null} Segment with its action, or null
+       */
+      findSegment: function(time) {
+        for (var i = 0; i < this.segments.length; i++) {
+          var segment = this.segments[i];
+          var action = config.segmentCategories[segment.category] || 'show';
+
+          if (action !== 'show' && time >= segment.start && time < segment.end) {
+            return { segment: segment, action: action };
+          }
+        }
+
+        return null;
+      },
+
+      /**
+       * A seek that lands inside a segment means the user wants to watch it
+       */
+      handleSeek: function() {
+        if (!this.video || this.isAdPlaying()) return;
+
+        var match = this.findSegment(this.video.currentTime);
+        this.userSeekedInto = match ? match.segment : null;
+        this.lastTime = this.video.currentTime;
+      },
+
+      /**
+       * Skip or mute the segment being played
+       */
+      checkSegments: function() {
+        var video = this.video;
+        if (!video || this.segments.length === 0 || this.isAdPlaying()) return;
+
+        var time = video.currentTime;
+        var match = this.findSegment(time);
+        this.lastTime = time;
+
+        if (!match || match.segment === this.userSeekedInto) {
+          this.restoreMute();
+          return;
+        }
+
+        if (match.action === 'skip') {
+          Logger.info('segments', 'Skipped ' + match.segment.category + ' segment', {
+            start: match.segment.start,
+            end: match.segment.end
+          });
+          BlockingStats.add('segmentsSkipped');
+          BlockingStats.add('secondsSaved', match.segment.end - time);
+          video.currentTime = match.segment.end;
+          this.restoreMute();
+        } else if (match.action === 'mute' && this.mutedBySegment === null) {
+          this.mutedBySegment = video.muted;
+          video.muted = true;
+        }
+      },
+
+      /**
+       * Give back the mute state the user had before a muted segment
+       */
+      restoreMute: function() {
+        if (this.mutedBySegment === null) return;
+
+        if (this.video) {
+          this.video.muted = this.mutedBySegment;
+        }
+        this.mutedBySegment = null;
+      },
+
+      /**
+       * Mark the segments on the player's progress bar
+       */
+      renderMarkers: function() {
+        this.removeMarkers();
+
+        var video = this.video;
+        var progressBar = document.querySelector('.ytp-progress-bar');
+        if (!video || !progressBar || this.segments.length === 0 || this.isAdPlaying()) return;
+
+        var duration = video.duration;
+        if (!duration || isNaN(duration) || !isFinite(duration)) return;
+
+        var container = document.createElement('div');
+        container.className = 'sg-segment-markers';
+        container.style.cssText = 'position: absolute; left: 0; right: 0; bottom: 0; height: 100%; ' +
+          'pointer-events: none; z-index: 40;';
+
+        this.segments.forEach(function(segment) {
+          var marker = document.createElement('div');
+          marker.className = 'sg-segment-marker';
+          marker.setAttribute('data-category', segment.category);
+          marker.title = segment.category;
+          marker.style.cssText = 'position: absolute; top: 0; height: 100%; opacity: 0.7; ' +
+            'left: ' + (Math.min(segment.start, duration) / duration * 100) + '%; ' +
+            'width: ' + ((Math.min(segment.end, duration) - Math.min(segment.start, duration)) / duration * 100) + '%; ' +
+            'background: ' + (SEGMENT_COLORS[segment.category] || '#ffffff') + ';';
+          container.appendChild(marker);
+        });
+
+        progressBar.appendChild(container);
+      },
+
+      /**
+       * Remove progress bar markers
+       */
+      removeMarkers: function() {
+        var markers = document.querySelectorAll('.sg-segment-markers');
+        for (var i = 0; i < markers.length; i++) {
+          markers[i].remove();
         }
+      }
+    };
+
+    NativeBridge.registerCommand('compile-patterns', function(payload) {
+      return compileBlockedPatterns(payload.target);
+    }, 'public');
+
+    NativeBridge.registerCommand('allowlist-add', function(payload) {
+      return { added: allowChannel(payload.channel), allowlist: getAllowlist() };
+    });
+
+    NativeBridge.registerCommand('allowlist-remove', function(payload) {
+      return { removed: disallowChannel(payload.channel), allowlist: getAllowlist() };
+    });
+
+    NativeBridge.registerCommand('get-allowlist', function() {
+      return getAllowlist();
+    }, 'public');
+
+    NativeBridge.registerCommand('get-route', function() {
+      return getRoute();
+    }, 'public');
+
+    NativeBridge.registerCommand('destroy', function() {
+      destroy();
+      return { destroyed: true };
+    }, 'runtime');
+
+    // Answered at once, the outcome follows as a reloaded event
+    NativeBridge.registerCommand('reload', function() {
+      reload().then(function(result) {
+        NativeBridge.send('reloaded', result);
+      }, function(e) {
+        Logger.error('lifecycle', 'Reload failed', { error: e });
+        NativeBridge.send('reloaded', { reloaded: false, error: e && e.message ? e.message : String(e) });
       });
-    },
+      return { reloading: true };
+    }, 'runtime');
+
+    NativeBridge.registerCommand('set-segment-provider', function(payload) {
+      if (payload.type === 'native') {
+        SegmentSkipper.setProvider(createNativeSegmentProvider());
+      } else if (payload.type === 'json') {
+        SegmentSkipper.setProvider(createJsonSegmentProvider(payload.url));
+      } else if (payload.type === 'memory') {
+        SegmentSkipper.setProvider(createMemorySegmentProvider(payload.segments));
+      } else if (payload.type === 'none') {
+        SegmentSkipper.setProvider(null);
+      } else {
+        throw new Error('unknown segment provider: ' + payload.type);
+      }
+
+      return { provider: payload.type };
+    });
+
+    NativeBridge.registerCommand('provide-segments', function(payload) {
+      return { delivered: NativeSegmentRequests.deliver(payload) > 0 };
+    });
+
+    // =============================================================================
+    // AUTO-INITIALIZATION (ENHANCED)
+    // =============================================================================
+
+    if (start) {
+      installDataHooks();
+      installRequestBlocking();
+
+      // Only run on YouTube domains
+      if (isYouTubeHost(window.location.hostname)) {
+        // Initialize Layer 3 & 4 (DOM-based fallback + feed monitoring) on ALL YouTube pages
+        if (document.readyState === 'loading') {
+          listen(document, 'DOMContentLoaded', function() {
+            YouTubeAdSkipper.init();
+          });
+        } else {
+          YouTubeAdSkipper.init();
+        }
+      }
+
+      // Expose for debugging (optional - remove in production if desired)
+      window.__SAFEGAZE_YT_AD_SKIPPER__ = YouTubeAdSkipper;
+    }
+
+    // =============================================================================
+    // PUBLIC API
+    // Access via: window.SAFEGAZE_YT_AD_BLOCKER
+    // =============================================================================
 
     /**
-     * Check if current page is a YouTube page (any page that should have ad blocking)
+     * Replace the active rule list and re-apply it to the page
+     * The list is cached in host storage so the next page load starts with it
+     * @param {Object} list - Rule list ({format, version, ...sections})
+     * @returns {{applied: boolean, version: string, error: (string|undefined)}} Result
      */
-    isYouTubePage: function() {
-      var hostname = window.location.hostname;
-      var pathname = window.location.pathname;
+    function updateRules(list) {
+      var error = validateRules(list);
+      if (error) {
+        Logger.error('rules', 'Rejected rule list', { reason: error });
+        return { applied: false, version: activeRules.version, error: error };
+      }
 
-      // Check if we're on YouTube domain
-      if (!hostname || hostname.indexOf('youtube.com') === -1) {
-        return false;
+      activeRules = mergeRules(list);
+      activeRulesSource = 'update';
+      if (start) window.SAFEGAZE_BLOCKED_AD_PATTERNS = activeRules.urlPatterns;
+
+      try {
+        HostStorage.setItem(RULES_STORAGE_KEY, JSON.stringify(list));
+      } catch (e) {
+        // Host storage failed, keep in memory only
+        Logger.warn('rules', 'Could not cache rule list', { error: e });
       }
 
-      // Allow ad blocking on all YouTube pages
-      return true;
-    },
+      Logger.info('rules', 'Applied rule list ' + activeRules.version);
+      YouTubeAdSkipper.applyRules();
+      return { applied: true, version: activeRules.version };
+    }
+
+    /**
+     * Drop any loaded rule list and go back to the built-in defaults
+     */
+    function resetRules() {
+      try {
+        HostStorage.removeItem(RULES_STORAGE_KEY);
+      } catch (e) {
+        // Storage unavailable, nothing cached
+      }
+
+      activeRules = mergeRules(null);
+      activeRulesSource = 'default';
+      if (start) window.SAFEGAZE_BLOCKED_AD_PATTERNS = activeRules.urlPatterns;
+      YouTubeAdSkipper.applyRules();
+    }
+
+    /**
+     * Change the configuration of the running blocker, no page reload needed
+     * @param {Object} options - Partial configuration, e.g.
+     *   {layers: {domSkipping: false}, skipPlaybackRate: 8}
+     * @returns {Object} Copy of the resulting configuration
+     */
+    function configure(options) {
+      YouTubeAdSkipper.applyConfig(mergeConfig(options));
+      return getConfig();
+    }
 
     /**
-     * Check if current page is a YouTube watch page
+     * @returns {Object} Copy of the active configuration
      */
-    isWatchPage: function() {
-      return window.location.pathname === '/watch' && window.location.search.indexOf('v=') !== -1;
-    },
+    function getConfig() {
+      return JSON.parse(JSON.stringify(config));
+    }
 
     /**
-     * Cleanup observers and intervals
+     * Stop blocking and undo every change made to the page (patched APIs,
+     * accessors, listeners, stylesheet, globals). A new blocker can start in
+     * this window afterwards.
      */
-    cleanup: function() {
-      if (this.observer) {
-        this.observer.disconnect();
-        this.observer = null;
+    function destroy() {
+      if (destroyed) return;
+      destroyed = true;
+
+      YouTubeAdSkipper.destroy();
+      ActivityEvents.removeAll();
+      runTeardown();
+
+      if (window.SAFEGAZE_YT_AD_BLOCKER === api) {
+        delete window.SAFEGAZE_YT_AD_BLOCKER;
+        delete window.__SAFEGAZE_YT_AD_SKIPPER__;
+        delete window.SAFEGAZE_BLOCKED_AD_PATTERNS;
+        delete window.__SAFEGAZE_YT_AD_BLOCKER_INITIALIZED__;
       }
 
-      if (this.feedObserver) {
-        this.feedObserver.disconnect();
-        this.feedObserver = null;
+      Logger.info('lifecycle', 'Blocker destroyed');
+    }
+
+    /**
+     * Hot reload: replace this blocker with the version version.json names,
+     * without a page refresh. The loader that started this script downloads and
+     * verifies it (see BLOCKER LINK in youtube-ads-blocker-loader.js); nothing
+     * else can be run this way. The configuration carries over. If the new
+     * script fails to start, it undoes its own hooks (see createBlocker) and
+     * this version starts again in its place.
+     * Only accepted from the host through chrome.runtime (see NATIVE HOST BRIDGE).
+     * @returns {Promise<{reloaded: boolean, error?: string}>} Whether the new script
+     *   is running
+     * @throws {Error} If the loader did not start this script
+     */
+    function reload() {
+      if (!loaderLink) {
+        throw new Error('[SafeGaze] reload() needs a script started by youtube-ads-blocker-loader.js');
       }
 
-      if (this.checkInterval !== null) {
-        clearInterval(this.checkInterval);
-        this.checkInterval = null;
+      return loaderLink.fetchUpdate().then(function(update) {
+        if (!update) return { reloaded: false, error: 'the version in version.json is running' };
+        if (destroyed) return { reloaded: false, error: 'blocker was destroyed' };
+        return swapIn(update);
+      });
+    }
+
+    /**
+     * Destroy this blocker and run a verified update in its place, see reload()
+     * @param {Object} update - From the loader's fetchUpdate()
+     * @returns {{reloaded: boolean, error?: string}} Whether the new script is running
+     */
+    function swapIn(update) {
+      var options = getConfig();
+      var hostConfig = window.SAFEGAZE_YT_AD_CONFIG;
+      var failure = null;
+
+      destroy();
+
+      // The new script reads its initial configuration from here
+      window.SAFEGAZE_YT_AD_CONFIG = options;
+      window.SAFEGAZE_YT_AD_STORAGE = HostStorage.backend;
+      window.SAFEGAZE_YT_AD_BRIDGE_SECRET = NativeBridge.secret;
+      try {
+        failure = loaderLink.run(update);
+      } finally {
+        // Put back what the host set, without leaving an undefined one behind
+        if (hostConfig !== undefined) {
+          window.SAFEGAZE_YT_AD_CONFIG = hostConfig;
+        } else {
+          delete window.SAFEGAZE_YT_AD_CONFIG;
+        }
+        delete window.SAFEGAZE_YT_AD_STORAGE;
+        delete window.SAFEGAZE_YT_AD_BRIDGE_SECRET;
       }
 
-      // Clear any pending debounced reflows
-      if (this._debouncedReflowTimeout) {
-        clearTimeout(this._debouncedReflowTimeout);
-        this._debouncedReflowTimeout = null;
+      var next = window.SAFEGAZE_YT_AD_BLOCKER;
+      if (!failure && next && next !== api) {
+        Logger.info('lifecycle', 'Replaced by the reloaded script');
+        return { reloaded: true };
       }
-    },
+
+      var message = failure && failure.message ? failure.message : 'reloaded script did not start';
+      Logger.error('lifecycle', 'Reload failed, restarting this version', { reason: message });
+      delete window.SAFEGAZE_YT_AD_BLOCKER;
+      delete window.__SAFEGAZE_YT_AD_BLOCKER_INITIALIZED__;
+      createBlocker({
+        window: window,
+        document: document,
+        options: options,
+        storage: HostStorage.backend,
+        bridgeSecret: NativeBridge.secret,
+        loaderLink: loaderLink
+      });
+      return { reloaded: false, error: message };
+    }
 
     /**
-     * Destroy the ad skipper
+     * @returns {{session: Object, total: Object}} Copies of the per-session and
+     *   cumulative blocking counters
      */
-    destroy: function() {
-      this.cleanup();
-      this.isInitialized = false;
+    function getStats() {
+      return JSON.parse(JSON.stringify({
+        session: BlockingStats.session,
+        total: BlockingStats.total
+      }));
     }
-  };
 
-  // =============================================================================
-  // AUTO-INITIALIZATION (ENHANCED)
-  // =============================================================================
+    /**
+     * Let ads run for a channel
+     * @param {string} channel - Channel ID (UC...), handle (@name) or channel URL
+     * @returns {boolean} True if the entry was valid
+     */
+    function allowChannel(channel) {
+      var added = ChannelAllowlist.add(channel);
+      if (added) YouTubeAdSkipper.refreshAllowlist();
+      return added;
+    }
+
+    /**
+     * Block ads for a channel again
+     * @param {string} channel - Channel ID, handle or channel URL
+     * @returns {boolean} True if the channel was on the allowlist
+     */
+    function disallowChannel(channel) {
+      var removed = ChannelAllowlist.remove(channel);
+      if (removed) YouTubeAdSkipper.refreshAllowlist();
+      return removed;
+    }
+
+    /**
+     * @returns {Array<string>} Allowlisted channel IDs and handles
+     */
+    function getAllowlist() {
+      return ChannelAllowlist.entries.slice();
+    }
+
+    var api = {
+      /**
+       * @returns {{version: string, source: string}} Active rule-list version and
+       *   its origin ('default', 'host', 'cache' or 'update')
+       */
+      getRulesInfo: function() {
+        return { version: activeRules.version, source: activeRulesSource };
+      },
+
+      /**
+       * @returns {Object} Copy of the complete active rule list
+       */
+      getRules: function() {
+        return JSON.parse(JSON.stringify(activeRules));
+      },
+
+      updateRules: updateRules,
+      resetRules: resetRules,
+
+      configure: configure,
+      getConfig: getConfig,
 
-  // Only run on YouTube domains
-  if (window.location.hostname.indexOf('youtube.com') !== -1) {
-    // Initialize Layer 3 & 4 (DOM-based fallback + feed monitoring) on ALL YouTube pages
-    if (document.readyState === 'loading') {
-      document.addEventListener('DOMContentLoaded', function() {
-        YouTubeAdSkipper.init();
+      compileBlockedPatterns: compileBlockedPatterns,
+      validateBlockedPatterns: validateBlockedPatterns,
+      matchesBlockedPattern: matchesBlockedPattern,
+
+      getStats: getStats,
+      resetStats: function(scope) {
+        BlockingStats.reset(scope);
+      },
+
+      /**
+       * Ad detection checks since the last reset. To compare the modes:
+       * configure({detectionMode: 'polling'}), play for a while, read
+       * checksPerMinute, then do the same with 'events'
+       */
+      getDetectionMetrics: function() {
+        return YouTubeAdSkipper.getDetectionMetrics();
+      },
+      resetDetectionMetrics: function() {
+        YouTubeAdSkipper.resetDetectionMetrics();
+      },
+
+      /**
+       * @returns {{type: string, videoId: string|null, playlistId: string|null}} Page
+       *   type of the current page (a PAGE_HANDLERS key) and the IDs in its URL
+       */
+      getRoute: getRoute,
+      classifyRoute: classifyRoute,
+
+      /**
+       * Recent log entries as JSON, for attaching to bug reports
+       * @returns {string} {exportedAt, url, userAgent, rules, config, dropped, entries}
+       */
+      exportLogs: function() {
+        return JSON.stringify(Logger.snapshot(), null, 2);
+      },
+      clearLogs: function() {
+        Logger.clear();
+      },
+
+      allowChannel: allowChannel,
+      disallowChannel: disallowChannel,
+      getAllowlist: getAllowlist,
+
+      /**
+       * Follow blocker activity, e.g. on('ad-skipped', function(detail) {...}),
+       * see ACTIVITY EVENTS for the types. on() returns an unsubscribe function.
+       */
+      on: function(type, listener) {
+        return ActivityEvents.on(type, listener);
+      },
+      off: function(type, listener) {
+        return ActivityEvents.off(type, listener);
+      },
+
+      /**
+       * Deliver a host message (see NATIVE HOST BRIDGE)
+       * @param {Object|string} message - Message object or JSON string
+       * @returns {Object|null} Response message
+       */
+      receive: function(message) {
+        return NativeBridge.receive(message);
+      },
+
+      /**
+       * Choose where sponsor segments come from (see LAYER 5)
+       * @param {Object|null} provider - Object with getSegments(videoId), null to disable
+       */
+      setSegmentProvider: function(provider) {
+        SegmentSkipper.setProvider(provider);
+      },
+
+      segmentProviders: {
+        memory: createMemorySegmentProvider,
+        json: createJsonSegmentProvider,
+        native: createNativeSegmentProvider
+      },
+
+      // Detection helpers, usable without a running blocker (createBlocker({start: false}))
+      // They apply this instance's rules and count into its statistics (in memory)
+      removeAdData: removeAdData,
+      removeFeedAds: removeFeedAds,
+
+      /**
+       * Whether the in-page request hooks (Layer 2B) block a request
+       * @param {string} url - Request URL
+       * @param {string} type - fetch, xhr, beacon, image, script or iframe
+       * @returns {boolean} True if it must not be sent
+       */
+      shouldBlockRequest: function(url, type) {
+        return !isVideoCdnUrl(url) && shouldBlockRequest(url, type);
+      },
+      checkIfSponsored: function(element) {
+        return YouTubeAdSkipper.checkIfSponsored(element);
+      },
+      isLegitimateVideoContainer: function(element) {
+        return YouTubeAdSkipper.isLegitimateVideoContainer(element);
+      },
+
+      /**
+       * Run another, independent blocker, e.g. in a same-origin iframe
+       * e.g. window.SAFEGAZE_YT_AD_BLOCKER.createBlocker({window: iframe.contentWindow})
+       */
+      createBlocker: createBlocker
+    };
+
+    if (start) {
+      window.SAFEGAZE_YT_AD_BLOCKER = api;
+
+      // Accept host commands and tell the host we are running
+      NativeBridge.listen();
+      NativeBridge.send('ready', {
+        protocolVersion: BRIDGE_VERSION,
+        rulesVersion: activeRules.version,
+        config: getConfig()
       });
-    } else {
-      YouTubeAdSkipper.init();
     }
+
+    return api;
+  }
+
+  // =============================================================================
+  // PAGE SCRIPT ENTRY POINT
+  // Injected into a page: start a blocker for it, unless one is already running.
+  // Loaded as a CommonJS module (test suites): only export the factory.
+  // =============================================================================
+  if (root && root.document && !root.__SAFEGAZE_YT_AD_BLOCKER_INITIALIZED__) {
+    createBlocker({ window: root });
   }
 
-  // Expose for debugging (optional - remove in production if desired)
-  window.__SAFEGAZE_YT_AD_SKIPPER__ = YouTubeAdSkipper;
+  if (typeof module === 'object' && module.exports) {
+    module.exports = { createBlocker: createBlocker };
+  }
 
-})();
+})(typeof window !== 'undefined' ? window : this);